@@ -1,5 +1,6 @@
 import { spawn } from 'child_process';
 import fs from 'fs';
+import { resolveWorkspacePath, OUTSIDE_WORKSPACE_ERROR } from './workspace.js';
 
 export default class ACPConnection {
   constructor() {
@@ -8,11 +9,26 @@ export default class ACPConnection {
     this.nextRequestId = 1;
     this.pendingRequests = new Map();
     this.sessionId = null;
+    this.agentType = null;
+    this.cwd = null;
+    this.agentCapabilities = {};
+    // { currentModeId, availableModes } and { currentModelId, availableModels } as reported by the agent
+    this.modes = null;
+    this.models = null;
+    // Slash commands from the agent's latest available_commands_update
+    this.availableCommands = null;
     this.onUpdate = null;
+    // Called for every session/update, including those that arrive between prompts
+    this.onSessionUpdate = null;
+    this.onPermissionRequest = null;
   }
 
-  async connect(agentType, cwd) {
-    const env = { ...process.env };
+  // agent is a registry entry: { id, command, args, env }
+  async connect(agent, cwd) {
+    const agentType = agent.id;
+    this.agentType = agentType;
+    this.cwd = cwd;
+    const env = { ...process.env, ...agent.env };
     delete env.NODE_OPTIONS;
     delete env.NODE_INSPECT;
     delete env.NODE_DEBUG;
@@ -20,11 +36,7 @@ export default class ACPConnection {
     return new Promise((resolve, reject) => {
       let spawned = false;
       try {
-        if (agentType === 'opencode') {
-          this.child = spawn('opencode', ['acp'], { cwd, stdio: ['pipe', 'pipe', 'pipe'], env, shell: false });
-        } else {
-          this.child = spawn('claude-code-acp', [], { cwd, stdio: ['pipe', 'pipe', 'pipe'], env, shell: false });
-        }
+        this.child = spawn(agent.command, agent.args || [], { cwd, stdio: ['pipe', 'pipe', 'pipe'], env, shell: false });
         spawned = true;
       } catch (err) {
         reject(new Error(`Failed to spawn ACP process (${agentType}): ${err.message}`));
@@ -94,17 +106,37 @@ export default class ACPConnection {
 
   handleIncoming(msg) {
     if (msg.method === 'session/update' && msg.params) {
+      if (msg.params.update?.sessionUpdate === 'current_mode_update' && this.modes) {
+        this.modes = { ...this.modes, currentModeId: msg.params.update.currentModeId };
+      }
+      if (msg.params.update?.sessionUpdate === 'available_commands_update') {
+        this.availableCommands = msg.params.update.availableCommands || [];
+      }
+      if (this.onSessionUpdate) this.onSessionUpdate(msg.params);
       if (this.onUpdate) this.onUpdate(msg.params);
       this.resetPromptTimeout();
       return;
     }
     if (msg.method === 'session/request_permission' && msg.id !== undefined) {
-      this.sendResponse(msg.id, { outcome: { outcome: 'selected', optionId: 'allow' } });
       this.resetPromptTimeout();
+      Promise.resolve()
+        .then(() => this.onPermissionRequest ? this.onPermissionRequest(msg.params) : { outcome: 'cancelled' })
+        .catch(e => {
+          console.error('[ACP:permission]', e.message);
+          return { outcome: 'cancelled' };
+        })
+        .then(outcome => {
+          this.sendResponse(msg.id, { outcome });
+          this.resetPromptTimeout();
+        });
       return;
     }
     if (msg.method === 'fs/read_text_file' && msg.id !== undefined) {
-      const filePath = msg.params?.path;
+      const filePath = resolveWorkspacePath(msg.params?.path);
+      if (!filePath) {
+        this.sendError(msg.id, -32000, `${OUTSIDE_WORKSPACE_ERROR}: ${msg.params?.path}`);
+        return;
+      }
       try {
         const content = fs.readFileSync(filePath, 'utf-8');
         this.sendResponse(msg.id, { content });
@@ -114,7 +146,12 @@ export default class ACPConnection {
       return;
     }
     if (msg.method === 'fs/write_text_file' && msg.id !== undefined) {
-      const { path: filePath, content } = msg.params || {};
+      const { content } = msg.params || {};
+      const filePath = resolveWorkspacePath(msg.params?.path);
+      if (!filePath) {
+        this.sendError(msg.id, -32000, `${OUTSIDE_WORKSPACE_ERROR}: ${msg.params?.path}`);
+        return;
+      }
       try {
         fs.writeFileSync(filePath, content, 'utf-8');
         this.sendResponse(msg.id, null);
@@ -155,26 +192,54 @@ export default class ACPConnection {
     this.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, result }) + '\n');
   }
 
+  sendNotification(method, params) {
+    if (!this.child) return;
+    this.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', method, ...(params && { params }) }) + '\n');
+  }
+
   sendError(id, code, message) {
     if (!this.child) return;
     this.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, error: { code, message } }) + '\n');
   }
 
   async initialize() {
-    return this.sendRequest('initialize', {
+    const result = await this.sendRequest('initialize', {
       protocolVersion: 1,
       clientCapabilities: { fs: { readTextFile: true, writeTextFile: true } },
     });
+    this.agentCapabilities = result?.agentCapabilities || {};
+    return result;
   }
 
-  async newSession(cwd) {
-    const result = await this.sendRequest('session/new', { cwd, mcpServers: [] }, 120000);
+  async newSession(cwd, mcpServers = []) {
+    this.availableCommands = null;
+    const result = await this.sendRequest('session/new', { cwd, mcpServers }, 120000);
     this.sessionId = result.sessionId;
+    this.modes = result.modes || null;
+    this.models = result.models || null;
+    return result;
+  }
+
+  // The agent replays the session's history as session/update notifications before responding
+  async loadSession(sessionId, cwd, mcpServers = []) {
+    this.availableCommands = null;
+    const result = await this.sendRequest('session/load', { sessionId, cwd, mcpServers }, 120000);
+    this.sessionId = sessionId;
+    this.modes = result?.modes || null;
+    this.models = result?.models || null;
     return result;
   }
 
   async setSessionMode(modeId) {
-    return this.sendRequest('session/set_mode', { sessionId: this.sessionId, modeId });
+    const result = await this.sendRequest('session/set_mode', { sessionId: this.sessionId, modeId });
+    if (this.modes) this.modes = { ...this.modes, currentModeId: modeId };
+    return result;
+  }
+
+  async setSessionModel(modelId) {
+    const result = await this.sendRequest('session/set_model', { sessionId: this.sessionId, modelId });
+    if (this.models) this.models = { ...this.models, currentModelId: modelId };
+    return result;
   }
 
   async injectSkills(skills) {
@@ -334,6 +399,10 @@ Available skills: ${skillsToInject.map(s => s.name).join(', ')}`
     return this.sendRequest('session/prompt', { sessionId: this.sessionId, prompt: promptContent }, 300000);
   }
 
+  cancel() {
+    this.sendNotification('session/cancel', { sessionId: this.sessionId });
+  }
+
   isRunning() {
     return this.child && !this.child.killed;
   }
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+
+const agentsFilePath = process.env.AGENTS_FILE || path.join(os.homedir(), '.gmgui', 'agents.json');
+
+// Known ACP agents; agents.json entries with the same id replace them
+const BUILTIN_AGENTS = [
+  { id: 'claude-code', name: 'Claude Code', icon: 'C', command: 'claude-code-acp', args: [] },
+  { id: 'opencode', name: 'OpenCode', icon: 'O', command: 'opencode', args: ['acp'] },
+  { id: 'gemini', name: 'Gemini CLI', icon: 'G', command: 'gemini', args: ['--experimental-acp'] },
+];
+
+// Where each agent's command was found, keyed by agent id; refreshed by discoverAgents()
+let discovered = new Map();
+
+// Re-read on every call so edits to agents.json apply without a restart
+function readRegistry() {
+  if (!fs.existsSync(agentsFilePath)) return [];
+  try {
+    const agents = JSON.parse(fs.readFileSync(agentsFilePath, 'utf-8'));
+    return Array.isArray(agents) ? agents : [];
+  } catch (e) {
+    console.error('Error loading agents:', e.message);
+    return [];
+  }
+}
+
+function writeRegistry(agents) {
+  fs.mkdirSync(path.dirname(agentsFilePath), { recursive: true });
+  fs.writeFileSync(agentsFilePath, JSON.stringify(agents, null, 2));
+}
+
+function allAgents() {
+  const registry = readRegistry();
+  const builtins = BUILTIN_AGENTS.filter(b => !registry.some(a => a.id === b.id)).map(a => ({ ...a, source: 'builtin' }));
+  return [...builtins, ...registry.map(a => ({ ...a, source: 'registry' }))];
+}
+
+function findCommand(command) {
+  if (command.includes('/')) {
+    try {
+      fs.accessSync(command, fs.constants.X_OK);
+      return path.resolve(command);
+    } catch (e) {
+      return null;
+    }
+  }
+  try {
+    return execFileSync('which', [command], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function discoverAgents() {
+  discovered = new Map();
+  for (const agent of allAgents()) {
+    const found = findCommand(agent.command);
+    if (found) discovered.set(agent.id, found);
+  }
+  return listAgents();
+}
+
+// Every configured agent, with `available` and `path` from the last discovery run
+export function listAgents() {
+  return allAgents().map(agent => ({ ...agent, available: discovered.has(agent.id), path: discovered.get(agent.id) || null }));
+}
+
+export function getAgent(id) {
+  return allAgents().find(a => a.id === id) || null;
+}
+
+export function validateAgent(agent) {
+  if (!agent || typeof agent !== 'object') return 'agent must be an object';
+  if (!/^[\w.-]{1,64}$/.test(agent.id || '')) return 'id may only contain letters, digits, ".", "-" and "_"';
+  if (typeof agent.command !== 'string' || !agent.command.trim()) return 'command is required';
+  if (agent.args !== undefined && (!Array.isArray(agent.args) || agent.args.some(a => typeof a !== 'string'))) return 'args must be an array of strings';
+  if (agent.env !== undefined && (typeof agent.env !== 'object' || Array.isArray(agent.env) || Object.values(agent.env).some(v => typeof v !== 'string'))) return 'env must map names to strings';
+  for (const field of ['name', 'icon', 'defaultMode']) {
+    if (agent[field] !== undefined && agent[field] !== null && typeof agent[field] !== 'string') return `${field} must be a string`;
+  }
+  return null;
+}
+
+// Adds or replaces a registry entry; a builtin id is overridden rather than duplicated
+export function saveAgent(agent) {
+  const entry = {
+    id: agent.id,
+    name: agent.name || agent.id,
+    icon: (agent.icon || agent.name || agent.id).slice(0, 2),
+    command: agent.command.trim(),
+    args: agent.args || [],
+    env: agent.env || {},
+    defaultMode: agent.defaultMode || null,
+  };
+  writeRegistry([...readRegistry().filter(a => a.id !== entry.id), entry]);
+  discoverAgents();
+  return listAgents().find(a => a.id === entry.id);
+}
+
+export function removeAgent(id) {
+  const agents = readRegistry();
+  const remaining = agents.filter(a => a.id !== id);
+  if (remaining.length === agents.length) return false;
+  writeRegistry(remaining);
+  discoverAgents();
+  return true;
+}
+
+export default { discoverAgents, listAgents, getAgent, validateAgent, saveAgent, removeAgent };
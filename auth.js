@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { queries } from './database.js';
+
+const tokensFilePath = process.env.AUTH_TOKENS_FILE || path.join(os.homedir(), '.gmgui', 'tokens.json');
+export const AUTH_DISABLED = process.env.AUTH === 'off';
+// Sign-in tokens expire so ones left behind by browsers that never signed out stop working
+const LOGIN_TOKEN_TTL = (parseInt(process.env.LOGIN_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Tokens are re-read on every check so `gmgui token revoke` applies to a running server
+function readTokens() {
+  if (!fs.existsSync(tokensFilePath)) return [];
+  try {
+    const tokens = JSON.parse(fs.readFileSync(tokensFilePath, 'utf-8'));
+    return Array.isArray(tokens) ? tokens : [];
+  } catch (e) {
+    console.error('Error loading tokens:', e.message);
+    return [];
+  }
+}
+
+function writeTokens(tokens) {
+  fs.mkdirSync(path.dirname(tokensFilePath), { recursive: true });
+  fs.writeFileSync(tokensFilePath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+}
+
+function describe({ id, name, token, userId, created_at, expires_at }) {
+  return { id, name, userId: userId || null, created_at, expires_at: expires_at || null, preview: token.slice(0, 8) + '…' };
+}
+
+function isExpired(entry) {
+  return !!entry.expires_at && entry.expires_at <= Date.now();
+}
+
+// Tokens issued before accounts existed carry no userId and act as the first admin
+function tokenUser(entry) {
+  if (entry.userId) return queries.getUser(entry.userId);
+  return queries.getAllUsers().find(u => u.role === 'admin') || null;
+}
+
+export function publicUser(user) {
+  return user && { id: user.id, username: user.username, role: user.role, created_at: user.created_at };
+}
+
+// Without a user every token is listed (CLI); otherwise only the user's own tokens
+export function listTokens(user = null) {
+  return readTokens().filter(t => !isExpired(t) && (!user || tokenUser(t)?.id === user.id)).map(describe);
+}
+
+// Expired tokens are dropped whenever a new one is written
+export function createToken(name, userId = null, ttl = null) {
+  const entry = {
+    id: `tok-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    userId,
+    token: 'gmg_' + crypto.randomBytes(24).toString('base64url'),
+    created_at: Date.now(),
+    ...(ttl && { expires_at: Date.now() + ttl })
+  };
+  writeTokens([...readTokens().filter(t => !isExpired(t)), entry]);
+  return entry;
+}
+
+export function revokeToken(id, user = null) {
+  const tokens = readTokens();
+  const remaining = tokens.filter(t => !((t.id === id || t.name === id) && (!user || tokenUser(t)?.id === user.id)));
+  if (remaining.length === tokens.length) return false;
+  writeTokens(remaining);
+  return true;
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const given = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, given);
+}
+
+export function createUser(username, password, role = 'user') {
+  if (!/^[\w.-]{1,64}$/.test(username || '')) throw new Error('username may only contain letters, digits, ".", "-" and "_"');
+  if (!password || password.length < 8) throw new Error('password must be at least 8 characters');
+  if (queries.getUserByUsername(username)) throw new Error(`User ${username} already exists`);
+  return queries.createUser(username, hashPassword(password), role);
+}
+
+export function setPassword(userId, password) {
+  if (!password || password.length < 8) throw new Error('password must be at least 8 characters');
+  return queries.updateUser(userId, { passwordHash: hashPassword(password) });
+}
+
+// A removed user's conversations go to another admin, and their tokens are revoked with them
+export function removeUser(userId) {
+  const user = queries.getUser(userId);
+  if (!user) return false;
+  const heir = queries.getAllUsers().find(u => u.role === 'admin' && u.id !== userId);
+  if (!heir) throw new Error('Cannot remove the last admin');
+  queries.deleteUser(userId, heir.id);
+  writeTokens(readTokens().filter(t => t.userId !== userId));
+  return true;
+}
+
+// Each successful login gets its own expiring token so signing out only revokes that browser
+export function login(username, password) {
+  const user = queries.getUserByUsername(username || '');
+  if (!user || !verifyPassword(password || '', user.passwordHash)) return null;
+  return createToken(`login:${user.username}`, user.id, LOGIN_TOKEN_TTL);
+}
+
+// A fresh install gets an "admin" account with a random password that is printed once.
+// Conversations created before accounts existed, or while AUTH=off, are handed to the first admin.
+export function ensureAdminUser() {
+  let user = queries.getAllUsers().find(u => u.role === 'admin');
+  let password = null;
+  if (!user) {
+    password = crypto.randomBytes(9).toString('base64url');
+    user = createUser('admin', password, 'admin');
+  }
+  queries.claimUnowned(user.id);
+  return { user, password };
+}
+
+// A fresh install gets a "default" token; it is also recreated if every token was revoked
+export function ensureDefaultToken(userId = null) {
+  const tokens = readTokens();
+  if (tokens.length > 0) return tokens.find(t => t.name === 'default') || null;
+  return createToken('default', userId);
+}
+
+export function verifyToken(token) {
+  if (!token) return null;
+  const given = Buffer.from(token);
+  return readTokens().find(t => {
+    const expected = Buffer.from(t.token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) && !isExpired(t);
+  }) || null;
+}
+
+// Browsers can't set headers on WebSocket upgrades or <img> requests, so ?token= is accepted too
+export function requestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+// Resolves the request to { token, user }; user is null only when auth is disabled
+export function authenticate(req) {
+  if (AUTH_DISABLED) return { token: null, user: null };
+  const entry = verifyToken(requestToken(req));
+  const user = entry && tokenUser(entry);
+  return user ? { token: describe(entry), user } : null;
+}
+
+export default { listTokens, createToken, revokeToken, ensureDefaultToken, ensureAdminUser, createUser, setPassword, login, publicUser, verifyToken, requestToken, authenticate };
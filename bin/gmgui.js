@@ -4,6 +4,7 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import process from 'process';
 import fs from 'fs';
+import readline from 'readline';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.join(__dirname, '..');
@@ -42,11 +43,84 @@ export default async function gmgui(args = []) {
 
       ps.on('error', reject);
     });
+  } else if (command === 'db') {
+    const { migrate, schemaStatus } = await import('../database.js');
+    const subcommand = args[1] || 'status';
+    if (subcommand === 'status') {
+      const status = schemaStatus();
+      console.log(`Database: ${status.path}`);
+      console.log(`Schema version: ${status.version} (latest ${status.latest})`);
+      if (status.pending.length === 0) console.log('No pending migrations');
+      for (const m of status.pending) console.log(`Pending: ${m.version} ${m.name}`);
+      if (status.legacyData) console.log('Legacy data.json will be imported on migrate');
+    } else if (subcommand === 'migrate') {
+      const result = migrate();
+      if (result.backup) console.log(`Backup written to ${result.backup}`);
+      console.log(result.applied.length > 0 ? `Migrated schema from version ${result.from} to ${result.to}` : `Schema is up to date (version ${result.to})`);
+    } else {
+      throw new Error(`Unknown db command: ${subcommand}`);
+    }
+  } else if (command === 'user') {
+    const { migrate, queries } = await import('../database.js');
+    const { createUser, removeUser, setPassword, publicUser } = await import('../auth.js');
+    migrate();
+    const subcommand = args[1] || 'list';
+    const username = args[2];
+    if (subcommand === 'list') {
+      for (const u of queries.getAllUsers().map(publicUser)) console.log(`${u.username}  ${u.role}  ${new Date(u.created_at).toISOString()}`);
+    } else if (subcommand === 'add') {
+      if (!username) throw new Error('Usage: gmgui user add <name> [--admin]');
+      const user = createUser(username, await promptPassword(), args.includes('--admin') ? 'admin' : 'user');
+      console.log(`Created ${user.role} ${user.username}`);
+    } else if (subcommand === 'passwd') {
+      const user = username && queries.getUserByUsername(username);
+      if (!user) throw new Error(`User not found: ${username || ''}`);
+      setPassword(user.id, await promptPassword());
+      console.log(`Password changed for ${user.username}`);
+    } else if (subcommand === 'remove') {
+      const user = username && queries.getUserByUsername(username);
+      if (!user) throw new Error(`User not found: ${username || ''}`);
+      removeUser(user.id);
+      console.log(`Removed ${user.username}`);
+    } else {
+      throw new Error(`Unknown user command: ${subcommand}`);
+    }
+  } else if (command === 'token') {
+    const { migrate, queries } = await import('../database.js');
+    const { listTokens, createToken, revokeToken } = await import('../auth.js');
+    migrate();
+    const subcommand = args[1] || 'list';
+    if (subcommand === 'list') {
+      const tokens = listTokens();
+      if (tokens.length === 0) console.log('No tokens; one is generated when the server starts');
+      for (const t of tokens) console.log(`${t.id}  ${t.name}  ${t.preview}  ${new Date(t.created_at).toISOString()}${t.expires_at ? `  expires ${new Date(t.expires_at).toISOString()}` : ''}`);
+    } else if (subcommand === 'create') {
+      if (!args[2]) throw new Error('Usage: gmgui token create <name> [--user <username>]');
+      // Tokens without --user act as the first admin
+      const username = args.includes('--user') ? args[args.indexOf('--user') + 1] : null;
+      const owner = username && queries.getUserByUsername(username);
+      if (username && !owner) throw new Error(`User not found: ${username}`);
+      const entry = createToken(args[2], owner?.id || null);
+      console.log(`Created token "${entry.name}": ${entry.token}`);
+    } else if (subcommand === 'revoke') {
+      if (!args[2]) throw new Error('Usage: gmgui token revoke <id|name>');
+      if (!revokeToken(args[2])) throw new Error(`Token not found: ${args[2]}`);
+      console.log(`Revoked ${args[2]}`);
+    } else {
+      throw new Error(`Unknown token command: ${subcommand}`);
+    }
   } else {
     throw new Error(`Unknown command: ${command}`);
   }
 }
 
+async function promptPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const password = await new Promise(resolve => rl.question('Password: ', resolve));
+  rl.close();
+  return password;
+}
+
 // Run if this file is executed directly (works with symlinks, npm, npx)
 const isBinFile = process.argv[1].endsWith('gmgui.js') ||
                    process.argv[1].endsWith('/gmgui') ||
@@ -0,0 +1,24 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const configFilePath = process.env.CONFIG_FILE || path.join(os.homedir(), '.gmgui', 'config.json');
+
+// Server settings that environment variables can override; read once at startup
+function loadConfig() {
+  if (!fs.existsSync(configFilePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configFilePath, 'utf-8'));
+  } catch (e) {
+    console.error('Error loading config:', e.message);
+    return {};
+  }
+}
+
+export const config = loadConfig();
+
+export function expandHome(p) {
+  return p.startsWith('~') ? p.replace('~', process.env.HOME || '/config') : p;
+}
+
+export default { config, expandHome };
@@ -1,189 +1,574 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import Database from 'better-sqlite3';
 
 const dbDir = path.join(os.homedir(), '.gmgui');
-const dbFilePath = path.join(dbDir, 'data.json');
+const dbFilePath = path.join(dbDir, 'data.db');
+const legacyFilePath = path.join(dbDir, 'data.json');
+const backupDir = path.join(dbDir, 'backups');
 
 // Ensure directory exists
 if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
-// Load or initialize database
-let dbData = {
-  conversations: {},
-  messages: {},
-  sessions: {},
-  events: {},
-  idempotencyKeys: {}
-};
+let db;
+try {
+  db = new Database(dbFilePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+} catch (e) {
+  console.error('Fatal: Could not open database:', e.message);
+  if (e.code === 'EACCES' || e.code === 'SQLITE_CANTOPEN') {
+    console.error('Check file permissions and directory ownership of', dbDir);
+  }
+  throw new Error(`Database initialization failed: ${e.message}`);
+}
 
-function loadDatabase() {
-  if (fs.existsSync(dbFilePath)) {
-    try {
-      const content = fs.readFileSync(dbFilePath, 'utf-8');
-      dbData = JSON.parse(content);
-      if (!dbData.idempotencyKeys) {
-        dbData.idempotencyKeys = {};
-      }
-      console.log('Database loaded successfully');
-    } catch (e) {
-      console.error('Error loading database:', e.message);
-      console.error('Reinitializing database with fresh state...');
-      dbData = {
-        conversations: {},
-        messages: {},
-        sessions: {},
-        events: {},
-        idempotencyKeys: {}
-      };
-      saveDatabase();
+// Ordered schema steps; each runs once in a transaction and bumps PRAGMA user_version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: () => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          agentId TEXT,
+          title TEXT,
+          folderPath TEXT,
+          created_at INTEGER NOT NULL,
+          updated_at INTEGER NOT NULL,
+          status TEXT,
+          policy TEXT,
+          acpSessionId TEXT,
+          agentCapabilities TEXT,
+          contextLost INTEGER,
+          reseedPending INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_conversations_updated ON conversations(updated_at);
+
+        CREATE TABLE IF NOT EXISTS messages (
+          id TEXT PRIMARY KEY,
+          conversationId TEXT NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT,
+          created_at INTEGER NOT NULL,
+          status TEXT,
+          sessionId TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversationId, created_at);
+        CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(sessionId);
+        CREATE INDEX IF NOT EXISTS idx_messages_status ON messages(status);
+
+        CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          conversationId TEXT NOT NULL,
+          status TEXT,
+          started_at INTEGER NOT NULL,
+          completed_at INTEGER,
+          response TEXT,
+          error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_sessions_conversation ON sessions(conversationId, started_at);
+
+        CREATE TABLE IF NOT EXISTS events (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          conversationId TEXT,
+          sessionId TEXT,
+          data TEXT,
+          created_at INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_events_conversation ON events(conversationId, created_at);
+        CREATE INDEX IF NOT EXISTS idx_events_session ON events(sessionId, created_at);
+        CREATE INDEX IF NOT EXISTS idx_events_created ON events(created_at);
+
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+          key TEXT PRIMARY KEY,
+          messageId TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          ttl INTEGER NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'user accounts and conversation ownership',
+    up: () => {
+      db.exec(`
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          passwordHash TEXT NOT NULL,
+          role TEXT NOT NULL DEFAULT 'user',
+          created_at INTEGER NOT NULL
+        );
+
+        CREATE TABLE conversation_shares (
+          conversationId TEXT NOT NULL,
+          userId TEXT NOT NULL,
+          access TEXT NOT NULL,
+          created_at INTEGER NOT NULL,
+          PRIMARY KEY (conversationId, userId)
+        );
+        CREATE INDEX idx_conversation_shares_user ON conversation_shares(userId);
+
+        ALTER TABLE conversations ADD COLUMN ownerId TEXT;
+        ALTER TABLE sessions ADD COLUMN ownerId TEXT;
+        ALTER TABLE events ADD COLUMN ownerId TEXT;
+        CREATE INDEX idx_conversations_owner ON conversations(ownerId, updated_at);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'trusted conversations',
+    up: () => {
+      db.exec('ALTER TABLE conversations ADD COLUMN trusted INTEGER NOT NULL DEFAULT 0');
     }
-  } else {
-    try {
-      saveDatabase();
-      console.log('Database initialized successfully');
-    } catch (e) {
-      console.error('Fatal: Could not initialize database:', e.message);
-      throw new Error(`Database initialization failed: ${e.message}`);
+  },
+  {
+    version: 4,
+    name: 'conversation MCP servers',
+    up: () => {
+      db.exec(`
+        ALTER TABLE conversations ADD COLUMN mcpServers TEXT;
+        ALTER TABLE conversations ADD COLUMN attachedMcpServers TEXT;
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'conversation modes and models',
+    up: () => {
+      db.exec(`
+        ALTER TABLE conversations ADD COLUMN modes TEXT;
+        ALTER TABLE conversations ADD COLUMN models TEXT;
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'conversation slash commands',
+    up: () => {
+      db.exec('ALTER TABLE conversations ADD COLUMN availableCommands TEXT');
+    }
+  },
+  {
+    version: 7,
+    name: 'search index',
+    up: () => {
+      // One row per message and one per conversation title (messageId NULL)
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+          text, conversationId UNINDEXED, messageId UNINDEXED, tokenize = 'porter unicode61'
+        );
+      `);
+      rebuildSearchIndex();
     }
   }
+];
+
+// Columns holding structured values are stored as JSON text, flags as 0/1
+const JSON_COLUMNS = new Set(['policy', 'agentCapabilities', 'content', 'response', 'data', 'mcpServers', 'attachedMcpServers', 'modes', 'models', 'availableCommands']);
+const BOOLEAN_COLUMNS = new Set(['contextLost', 'reseedPending', 'trusted']);
+
+function toColumn(field, value) {
+  if (value === undefined || value === null) return null;
+  if (JSON_COLUMNS.has(field)) return JSON.stringify(value);
+  if (BOOLEAN_COLUMNS.has(field)) return value ? 1 : 0;
+  return value;
 }
 
-function saveDatabase() {
-  try {
-    fs.writeFileSync(dbFilePath, JSON.stringify(dbData, null, 2), 'utf-8');
-  } catch (e) {
-    console.error('Error saving database:', e.message);
-    if (e.code === 'EACCES') {
-      console.error('Permission denied writing to', dbFilePath);
-      console.error('Check file permissions and directory ownership');
-    }
-    throw e;
+function fromRow(row) {
+  if (!row) return null;
+  for (const field in row) {
+    if (row[field] === null) continue;
+    if (JSON_COLUMNS.has(field)) row[field] = JSON.parse(row[field]);
+    else if (BOOLEAN_COLUMNS.has(field)) row[field] = !!row[field];
   }
+  return row;
+}
+
+function insert(table, record) {
+  const fields = Object.keys(record);
+  db.prepare(`INSERT OR REPLACE INTO ${table} (${fields.join(', ')}) VALUES (${fields.map(f => '@' + f).join(', ')})`)
+    .run(Object.fromEntries(fields.map(f => [f, toColumn(f, record[f])])));
 }
 
-loadDatabase();
+function update(table, id, fields, data) {
+  const changed = fields.filter(f => data[f] !== undefined);
+  if (changed.length === 0) return;
+  db.prepare(`UPDATE ${table} SET ${changed.map(f => `${f} = @${f}`).join(', ')} WHERE id = @id`)
+    .run({ id, ...Object.fromEntries(changed.map(f => [f, toColumn(f, data[f])])) });
+}
+
+// Conversation fields that updateConversation() may change
+const CONVERSATION_FIELDS = ['title', 'status', 'policy', 'acpSessionId', 'agentCapabilities', 'contextLost', 'reseedPending', 'trusted', 'mcpServers', 'attachedMcpServers', 'modes', 'models', 'availableCommands'];
+
+// Message fields that updateMessage() may change
+const MESSAGE_FIELDS = ['content', 'status', 'sessionId'];
+
+// Session fields that updateSession() may change
+const SESSION_FIELDS = ['status', 'response', 'error', 'completed_at'];
+
+// User fields that updateUser() may change
+const USER_FIELDS = ['passwordHash', 'role'];
+
+function conversationOwner(conversationId) {
+  if (!conversationId) return null;
+  return db.prepare('SELECT ownerId FROM conversations WHERE id = ?').get(conversationId)?.ownerId ?? null;
+}
 
 // Generate unique IDs
 function generateId(prefix) {
   return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
-// Idempotency and atomicity helpers
-function setIdempotencyKey(key, value) {
-  dbData.idempotencyKeys[key] = {
-    value,
-    created_at: Date.now(),
-    ttl: 24 * 60 * 60 * 1000
-  };
+// Idempotency helpers; a key maps to the message it created
+function setIdempotencyKey(key, messageId) {
+  db.prepare('INSERT OR REPLACE INTO idempotency_keys (key, messageId, created_at, ttl) VALUES (?, ?, ?, ?)')
+    .run(key, messageId, Date.now(), 24 * 60 * 60 * 1000);
 }
 
 function getIdempotencyKey(key) {
-  const entry = dbData.idempotencyKeys[key];
+  const entry = db.prepare('SELECT * FROM idempotency_keys WHERE key = ?').get(key);
   if (!entry) return null;
-  const isExpired = Date.now() - entry.created_at > entry.ttl;
-  if (isExpired) {
-    delete dbData.idempotencyKeys[key];
+  if (Date.now() - entry.created_at > entry.ttl) {
+    db.prepare('DELETE FROM idempotency_keys WHERE key = ?').run(key);
     return null;
   }
-  return entry.value;
+  return entry.messageId;
 }
 
 function clearExpiredIdempotencyKeys() {
-  const now = Date.now();
-  for (const key in dbData.idempotencyKeys) {
-    const entry = dbData.idempotencyKeys[key];
-    if (now - entry.created_at > entry.ttl) {
-      delete dbData.idempotencyKeys[key];
+  db.prepare('DELETE FROM idempotency_keys WHERE ? - created_at > ttl').run(Date.now());
+}
+
+// Visible text of agent HTML, so markup and scripts don't match searches
+function htmlText(html) {
+  return String(html || '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function searchableText(content) {
+  if (typeof content === 'string') return content;
+  const html = (content?.blocks || []).filter(b => b.type === 'html').map(b => `${b.title || ''} ${htmlText(b.html)}`);
+  return [content?.text || '', ...html].join('\n');
+}
+
+// Image blocks from an export may point at files by path or URL. On this server those would
+// name its own files, so only inline image data is kept.
+function importedContent(content) {
+  if (!Array.isArray(content?.blocks)) return content;
+  const blocks = content.blocks.map(block => {
+    if (block.type !== 'image') return block;
+    const { path: _path, url, ...inline } = block;
+    return inline;
+  });
+  return { ...content, blocks };
+}
+
+function indexMessage(message) {
+  db.prepare('DELETE FROM search_index WHERE messageId = ?').run(message.id);
+  db.prepare('INSERT INTO search_index (text, conversationId, messageId) VALUES (?, ?, ?)')
+    .run(searchableText(message.content), message.conversationId, message.id);
+}
+
+function indexTitle(conversationId, title) {
+  db.prepare('DELETE FROM search_index WHERE conversationId = ? AND messageId IS NULL').run(conversationId);
+  if (title) db.prepare('INSERT INTO search_index (text, conversationId, messageId) VALUES (?, ?, NULL)').run(title, conversationId);
+}
+
+function rebuildSearchIndex() {
+  db.prepare('DELETE FROM search_index').run();
+  for (const c of db.prepare('SELECT id, title FROM conversations').all()) indexTitle(c.id, c.title);
+  for (const m of db.prepare('SELECT * FROM messages').all().map(fromRow)) indexMessage(m);
+}
+
+// snippet() marks matches with these control characters; they are turned into offsets for the client
+const HIT_START = '\u0002';
+const HIT_END = '\u0003';
+
+function parseSnippet(marked) {
+  const highlights = [];
+  let text = '';
+  let start = 0;
+  for (const ch of marked) {
+    if (ch === HIT_START) start = text.length;
+    else if (ch === HIT_END) highlights.push([start, text.length]);
+    else if (!/\s/.test(ch)) text += ch;
+    else if (text && !text.endsWith(' ')) text += ' ';
+  }
+  return { snippet: text.trimEnd(), highlights };
+}
+
+// One-time import of the old whole-file JSON store; the file is kept as data.json.migrated
+function migrateLegacyData() {
+  if (!fs.existsSync(legacyFilePath)) return;
+  let legacy;
+  try {
+    legacy = JSON.parse(fs.readFileSync(legacyFilePath, 'utf-8'));
+  } catch (e) {
+    console.error('Could not read legacy database, leaving it in place:', e.message);
+    return;
+  }
+  const pick = (record, fields) => Object.fromEntries(fields.filter(f => record[f] !== undefined).map(f => [f, record[f]]));
+  db.transaction(() => {
+    for (const c of Object.values(legacy.conversations || {})) {
+      insert('conversations', pick(c, ['id', 'agentId', 'title', 'folderPath', 'created_at', 'updated_at', ...CONVERSATION_FIELDS]));
+    }
+    for (const m of Object.values(legacy.messages || {})) {
+      insert('messages', pick(m, ['id', 'conversationId', 'role', 'created_at', ...MESSAGE_FIELDS]));
+    }
+    for (const s of Object.values(legacy.sessions || {})) {
+      insert('sessions', pick(s, ['id', 'conversationId', 'started_at', ...SESSION_FIELDS]));
     }
+    for (const e of Object.values(legacy.events || {})) {
+      insert('events', pick(e, ['id', 'type', 'conversationId', 'sessionId', 'data', 'created_at']));
+    }
+    for (const [key, entry] of Object.entries(legacy.idempotencyKeys || {})) {
+      if (entry.value?.id) {
+        db.prepare('INSERT OR REPLACE INTO idempotency_keys (key, messageId, created_at, ttl) VALUES (?, ?, ?, ?)')
+          .run(key, entry.value.id, entry.created_at, entry.ttl);
+      }
+    }
+    rebuildSearchIndex();
+  })();
+  fs.renameSync(legacyFilePath, legacyFilePath + '.migrated');
+  console.log(`Migrated ${Object.keys(legacy.conversations || {}).length} conversations from data.json`);
+}
+
+export function schemaStatus() {
+  const version = db.pragma('user_version', { simple: true });
+  return {
+    path: dbFilePath,
+    version,
+    latest: MIGRATIONS[MIGRATIONS.length - 1].version,
+    pending: MIGRATIONS.filter(m => m.version > version).map(({ version, name }) => ({ version, name })),
+    legacyData: fs.existsSync(legacyFilePath)
+  };
+}
+
+// Brings the schema up to date, copying the database to ~/.gmgui/backups first when it already holds data
+export function migrate() {
+  const { version: from, pending } = schemaStatus();
+  let backup = null;
+  if (pending.length > 0 && from > 0) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    backup = path.join(backupDir, `data-v${from}-${Date.now()}.db`);
+    db.prepare('VACUUM INTO ?').run(backup);
+  }
+  for (const step of MIGRATIONS.filter(m => m.version > from)) {
+    db.transaction(() => {
+      step.up();
+      db.pragma(`user_version = ${step.version}`);
+    })();
+    console.log(`Applied migration ${step.version}: ${step.name}`);
   }
+  migrateLegacyData();
+  return { from, to: schemaStatus().version, applied: pending, backup };
 }
 
 // Query helpers
 export const queries = {
   // Conversations
-  createConversation(agentId, title = null) {
+  createConversation(agentId, title = null, folderPath = null, ownerId = null) {
     const id = generateId('conv');
     const now = Date.now();
     const conversation = {
       id,
       agentId,
       title,
+      folderPath,
+      ownerId,
       created_at: now,
       updated_at: now,
       status: 'active'
     };
-    dbData.conversations[id] = conversation;
-    saveDatabase();
+    insert('conversations', conversation);
+    indexTitle(id, title);
     return conversation;
   },
 
   getConversation(id) {
-    return dbData.conversations[id];
+    return fromRow(db.prepare('SELECT * FROM conversations WHERE id = ?').get(id));
   },
 
   getAllConversations() {
-    return Object.values(dbData.conversations).sort((a, b) => b.updated_at - a.updated_at);
+    return db.prepare('SELECT * FROM conversations ORDER BY updated_at DESC').all().map(fromRow);
   },
 
-  updateConversation(id, data) {
-    const conversation = dbData.conversations[id];
+  // Conversations a user owns or has been shared, each tagged with the user's access level
+  getUserConversations(userId) {
+    return db.prepare(`
+      SELECT c.*, CASE WHEN c.ownerId = @userId THEN 'owner' ELSE s.access END AS access
+      FROM conversations c
+      LEFT JOIN conversation_shares s ON s.conversationId = c.id AND s.userId = @userId
+      WHERE c.ownerId = @userId OR s.userId IS NOT NULL
+      ORDER BY c.updated_at DESC
+    `).all({ userId }).map(fromRow);
+  },
+
+  getConversationAccess(conversationId, userId) {
+    const conversation = db.prepare('SELECT ownerId FROM conversations WHERE id = ?').get(conversationId);
     if (!conversation) return null;
+    if (conversation.ownerId === userId) return 'owner';
+    return db.prepare('SELECT access FROM conversation_shares WHERE conversationId = ? AND userId = ?').get(conversationId, userId)?.access || null;
+  },
 
-    if (data.title !== undefined) {
-      conversation.title = data.title;
-    }
-    if (data.status !== undefined) {
-      conversation.status = data.status;
-    }
-    conversation.updated_at = Date.now();
+  // Owner plus everyone the conversation is shared with; null when it has no owner
+  getConversationViewers(conversationId) {
+    const conversation = db.prepare('SELECT ownerId FROM conversations WHERE id = ?').get(conversationId);
+    if (!conversation?.ownerId) return null;
+    const shared = db.prepare('SELECT userId FROM conversation_shares WHERE conversationId = ?').all(conversationId);
+    return new Set([conversation.ownerId, ...shared.map(s => s.userId)]);
+  },
 
-    saveDatabase();
-    return conversation;
+  getConversationShares(conversationId) {
+    return db.prepare(`
+      SELECT s.userId, u.username, s.access, s.created_at
+      FROM conversation_shares s JOIN users u ON u.id = s.userId
+      WHERE s.conversationId = ? ORDER BY u.username
+    `).all(conversationId);
+  },
+
+  setConversationShare(conversationId, userId, access) {
+    db.prepare('INSERT OR REPLACE INTO conversation_shares (conversationId, userId, access, created_at) VALUES (?, ?, ?, ?)')
+      .run(conversationId, userId, access, Date.now());
+  },
+
+  removeConversationShare(conversationId, userId) {
+    return db.prepare('DELETE FROM conversation_shares WHERE conversationId = ? AND userId = ?').run(conversationId, userId).changes > 0;
+  },
+
+  // Data created before accounts existed is handed to the first admin
+  claimUnowned(userId) {
+    db.transaction(() => {
+      for (const table of ['conversations', 'sessions', 'events']) {
+        db.prepare(`UPDATE ${table} SET ownerId = ? WHERE ownerId IS NULL`).run(userId);
+      }
+    })();
+  },
+
+  updateConversation(id, data) {
+    return db.transaction(() => {
+      if (!db.prepare('SELECT 1 FROM conversations WHERE id = ?').get(id)) return null;
+      update('conversations', id, CONVERSATION_FIELDS, data);
+      if (data.title !== undefined) indexTitle(id, data.title);
+      db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(Date.now(), id);
+      return queries.getConversation(id);
+    })();
   },
 
   // Messages with idempotency support
   createMessage(conversationId, role, content, idempotencyKey = null) {
-    if (idempotencyKey) {
-      const cached = getIdempotencyKey(idempotencyKey);
-      if (cached) return cached;
-    }
+    return db.transaction(() => {
+      if (idempotencyKey) {
+        const cached = getIdempotencyKey(idempotencyKey);
+        const existing = cached && queries.getMessage(cached);
+        if (existing) return existing;
+      }
 
-    const id = generateId('msg');
-    const now = Date.now();
-    const message = {
-      id,
-      conversationId,
-      role,
-      content,
-      created_at: now
-    };
-    dbData.messages[id] = message;
+      const id = generateId('msg');
+      const now = Date.now();
+      const message = {
+        id,
+        conversationId,
+        role,
+        content,
+        created_at: now
+      };
+      insert('messages', message);
+      indexMessage(message);
 
-    // Update conversation's updated_at
-    if (dbData.conversations[conversationId]) {
-      dbData.conversations[conversationId].updated_at = now;
-    }
+      // Update conversation's updated_at
+      db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?').run(now, conversationId);
 
-    saveDatabase();
+      if (idempotencyKey) {
+        setIdempotencyKey(idempotencyKey, id);
+      }
 
-    if (idempotencyKey) {
-      setIdempotencyKey(idempotencyKey, message);
-    }
+      return message;
+    })();
+  },
 
+  getMessage(id) {
+    return fromRow(db.prepare('SELECT * FROM messages WHERE id = ?').get(id));
+  },
+
+  updateMessage(id, data) {
+    update('messages', id, MESSAGE_FIELDS, data);
+    const message = queries.getMessage(id);
+    if (message && data.content !== undefined) indexMessage(message);
     return message;
   },
 
-  getMessage(id) {
-    return dbData.messages[id];
+  // A queued prompt is dated when it is sent, so it sorts after the replies to the prompts ahead of it
+  markMessageSent(id) {
+    db.prepare("UPDATE messages SET status = 'sent', created_at = ? WHERE id = ?").run(Date.now(), id);
+    return queries.getMessage(id);
+  },
+
+  deleteMessage(id) {
+    db.prepare('DELETE FROM search_index WHERE messageId = ?').run(id);
+    return db.prepare('DELETE FROM messages WHERE id = ?').run(id).changes > 0;
+  },
+
+  getQueuedMessages() {
+    return db.prepare("SELECT * FROM messages WHERE status = 'queued' ORDER BY created_at").all().map(fromRow);
+  },
+
+  // Sessions still pending or processing at startup lost their agent with the previous process;
+  // the ones whose prompt is still queued are left to run again, the rest end with an error reply
+  interruptUnfinishedSessions(error) {
+    return db.transaction(() => {
+      const sessions = db.prepare(`
+        SELECT * FROM sessions WHERE status IN ('pending', 'processing')
+          AND id NOT IN (SELECT sessionId FROM messages WHERE status = 'queued' AND sessionId IS NOT NULL)
+        ORDER BY started_at
+      `).all().map(fromRow);
+      return sessions.map(session => {
+        const message = queries.createMessage(session.conversationId, 'assistant', `Error: ${error}`);
+        queries.updateSession(session.id, { status: 'error', error, completed_at: Date.now() });
+        queries.createEvent('session.error', { error }, session.conversationId, session.id);
+        return { session: queries.getSession(session.id), message };
+      });
+    })();
+  },
+
+  deleteConversationMessages(conversationId) {
+    db.prepare('DELETE FROM search_index WHERE conversationId = ? AND messageId IS NOT NULL').run(conversationId);
+    return db.prepare('DELETE FROM messages WHERE conversationId = ?').run(conversationId).changes;
   },
 
   getConversationMessages(conversationId) {
-    return Object.values(dbData.messages)
-      .filter(m => m.conversationId === conversationId)
-      .sort((a, b) => a.created_at - b.created_at);
+    return db.prepare('SELECT * FROM messages WHERE conversationId = ? ORDER BY created_at').all(conversationId).map(fromRow);
+  },
+
+  // Best matches first across titles and messages. Every word must match, the last one as a prefix
+  // so results follow typing; conversationIds limits the hits to what a user may read (null = all).
+  search(text, { conversationIds = null, limit = 50 } = {}) {
+    const words = String(text || '').match(/[\p{L}\p{N}_]+/gu) || [];
+    if (words.length === 0 || conversationIds?.length === 0) return [];
+    const match = words.map((w, i) => `"${w}"${i === words.length - 1 ? '*' : ''}`).join(' ');
+    const rows = db.prepare(`
+      SELECT search_index.conversationId, search_index.messageId, c.title, m.role, m.created_at,
+        snippet(search_index, 0, '${HIT_START}', '${HIT_END}', '…', 24) AS marked
+      FROM search_index
+      JOIN conversations c ON c.id = search_index.conversationId
+      LEFT JOIN messages m ON m.id = search_index.messageId
+      WHERE search_index MATCH @match
+        ${conversationIds ? 'AND search_index.conversationId IN (SELECT value FROM json_each(@conversationIds))' : ''}
+      ORDER BY bm25(search_index)
+      LIMIT @limit
+    `).all({ match, limit, ...(conversationIds && { conversationIds: JSON.stringify(conversationIds) }) });
+    return rows.map(({ marked, ...row }) => ({ ...row, ...parseSnippet(marked) }));
   },
 
   // Sessions
@@ -193,66 +578,36 @@ export const queries = {
     const session = {
       id,
       conversationId,
+      ownerId: conversationOwner(conversationId),
       status: 'pending',
       started_at: now,
       completed_at: null,
       response: null,
       error: null
     };
-    dbData.sessions[id] = session;
-    saveDatabase();
+    insert('sessions', session);
     return session;
   },
 
   getSession(id) {
-    return dbData.sessions[id];
+    return fromRow(db.prepare('SELECT * FROM sessions WHERE id = ?').get(id));
   },
 
   getConversationSessions(conversationId) {
-    return Object.values(dbData.sessions)
-      .filter(s => s.conversationId === conversationId)
-      .sort((a, b) => b.started_at - a.started_at);
+    return db.prepare('SELECT * FROM sessions WHERE conversationId = ? ORDER BY started_at DESC').all(conversationId).map(fromRow);
   },
 
   updateSession(id, data) {
-    const session = dbData.sessions[id];
-    if (!session) return null;
-
-    const original = JSON.parse(JSON.stringify(session));
-
-    try {
-      if (data.status !== undefined) {
-        session.status = data.status;
-      }
-      if (data.response !== undefined) {
-        session.response = data.response;
-      }
-      if (data.error !== undefined) {
-        session.error = data.error;
-      }
-      if (data.completed_at !== undefined) {
-        session.completed_at = data.completed_at;
-      }
-
-      saveDatabase();
-      return session;
-    } catch (e) {
-      Object.assign(session, original);
-      throw e;
-    }
+    update('sessions', id, SESSION_FIELDS, data);
+    return queries.getSession(id);
   },
 
   getLatestSession(conversationId) {
-    const sessions = Object.values(dbData.sessions)
-      .filter(s => s.conversationId === conversationId)
-      .sort((a, b) => b.started_at - a.started_at);
-    return sessions[0] || null;
+    return fromRow(db.prepare('SELECT * FROM sessions WHERE conversationId = ? ORDER BY started_at DESC LIMIT 1').get(conversationId));
   },
 
   getSessionsByStatus(conversationId, status) {
-    return Object.values(dbData.sessions)
-      .filter(s => s.conversationId === conversationId && s.status === status)
-      .sort((a, b) => b.started_at - a.started_at);
+    return db.prepare('SELECT * FROM sessions WHERE conversationId = ? AND status = ? ORDER BY started_at DESC').all(conversationId, status).map(fromRow);
   },
 
   // Events (event sourcing)
@@ -264,73 +619,143 @@ export const queries = {
       type,
       conversationId,
       sessionId,
+      ownerId: conversationOwner(conversationId),
       data,
       created_at: now
     };
-    dbData.events[id] = event;
-    saveDatabase();
+    insert('events', event);
     return event;
   },
 
   getEvent(id) {
-    return dbData.events[id];
+    return fromRow(db.prepare('SELECT * FROM events WHERE id = ?').get(id));
   },
 
   getConversationEvents(conversationId) {
-    return Object.values(dbData.events)
-      .filter(e => e.conversationId === conversationId)
-      .sort((a, b) => a.created_at - b.created_at);
+    return db.prepare('SELECT * FROM events WHERE conversationId = ? ORDER BY created_at').all(conversationId).map(fromRow);
   },
 
   getSessionEvents(sessionId) {
-    return Object.values(dbData.events)
-      .filter(e => e.sessionId === sessionId)
-      .sort((a, b) => a.created_at - b.created_at);
+    return db.prepare('SELECT * FROM events WHERE sessionId = ? ORDER BY created_at').all(sessionId).map(fromRow);
+  },
+
+  // Restores an export under fresh ids, keeping timestamps and which session produced each message.
+  // The agent session itself can't move between machines, so the history is offered for reseeding.
+  // Permission policy and trust are the importing owner's to grant, so neither is carried over.
+  importConversation({ conversation: source, sessions = [], messages }, ownerId = null) {
+    return db.transaction(() => {
+      const id = generateId('conv');
+      const now = Date.now();
+      insert('conversations', {
+        id,
+        agentId: source.agentId || 'claude-code',
+        title: source.title || null,
+        folderPath: source.folderPath || null,
+        ownerId,
+        created_at: source.created_at || now,
+        updated_at: now,
+        status: 'active',
+        modes: source.modes || null,
+        models: source.models || null,
+        contextLost: messages.length > 0,
+      });
+      indexTitle(id, source.title);
+
+      const sessionIds = new Map();
+      for (const session of sessions) {
+        const sessionId = generateId('sess');
+        sessionIds.set(session.id, sessionId);
+        insert('sessions', {
+          id: sessionId,
+          conversationId: id,
+          ownerId,
+          // A prompt that was still running when exported can't resume here
+          status: ['pending', 'processing'].includes(session.status) ? 'cancelled' : session.status,
+          started_at: session.started_at || now,
+          completed_at: session.completed_at || null,
+          response: session.response || null,
+          error: session.error || null,
+        });
+      }
+      for (const m of messages) {
+        const message = {
+          id: generateId('msg'),
+          conversationId: id,
+          role: m.role,
+          content: importedContent(m.content),
+          created_at: m.created_at || now,
+          status: m.status === 'queued' ? null : m.status || null,
+          sessionId: sessionIds.get(m.sessionId) || null,
+        };
+        insert('messages', message);
+        indexMessage(message);
+      }
+      return queries.getConversation(id);
+    })();
   },
 
   deleteConversation(id) {
-    if (!dbData.conversations[id]) return false;
-    delete dbData.conversations[id];
-    for (const msgId in dbData.messages) {
-      if (dbData.messages[msgId].conversationId === id) delete dbData.messages[msgId];
-    }
-    for (const sessId in dbData.sessions) {
-      if (dbData.sessions[sessId].conversationId === id) delete dbData.sessions[sessId];
-    }
-    for (const evtId in dbData.events) {
-      if (dbData.events[evtId].conversationId === id) delete dbData.events[evtId];
-    }
-    saveDatabase();
-    return true;
+    return db.transaction(() => {
+      if (db.prepare('DELETE FROM conversations WHERE id = ?').run(id).changes === 0) return false;
+      db.prepare('DELETE FROM messages WHERE conversationId = ?').run(id);
+      db.prepare('DELETE FROM sessions WHERE conversationId = ?').run(id);
+      db.prepare('DELETE FROM events WHERE conversationId = ?').run(id);
+      db.prepare('DELETE FROM conversation_shares WHERE conversationId = ?').run(id);
+      db.prepare('DELETE FROM search_index WHERE conversationId = ?').run(id);
+      return true;
+    })();
   },
 
-  // Clean up old data
-  cleanup() {
-    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+  // Users
+  createUser(username, passwordHash, role = 'user') {
+    const user = { id: generateId('user'), username, passwordHash, role, created_at: Date.now() };
+    insert('users', user);
+    return user;
+  },
 
-    // Delete old events
-    for (const id in dbData.events) {
-      if (dbData.events[id].created_at < thirtyDaysAgo) {
-        delete dbData.events[id];
-      }
-    }
+  getUser(id) {
+    return fromRow(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  },
 
-    // Delete old sessions
-    for (const id in dbData.sessions) {
-      if (dbData.sessions[id].completed_at && dbData.sessions[id].completed_at < thirtyDaysAgo) {
-        delete dbData.sessions[id];
-      }
-    }
+  getUserByUsername(username) {
+    return fromRow(db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+  },
 
-    clearExpiredIdempotencyKeys();
+  getAllUsers() {
+    return db.prepare('SELECT * FROM users ORDER BY username').all().map(fromRow);
+  },
 
-    saveDatabase();
+  updateUser(id, data) {
+    update('users', id, USER_FIELDS, data);
+    return queries.getUser(id);
+  },
+
+  // The user's conversations, sessions and events pass to heirId so none are left without an owner
+  deleteUser(id, heirId) {
+    return db.transaction(() => {
+      if (db.prepare('DELETE FROM users WHERE id = ?').run(id).changes === 0) return false;
+      for (const table of ['conversations', 'sessions', 'events']) {
+        db.prepare(`UPDATE ${table} SET ownerId = ? WHERE ownerId = ?`).run(heirId, id);
+      }
+      db.prepare('DELETE FROM conversation_shares WHERE userId = ?').run(id);
+      db.prepare('DELETE FROM conversation_shares WHERE userId = ? AND conversationId IN (SELECT id FROM conversations WHERE ownerId = ?)').run(heirId, heirId);
+      return true;
+    })();
+  },
+
+  // Clean up old data
+  cleanup() {
+    const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+    db.transaction(() => {
+      db.prepare('DELETE FROM events WHERE created_at < ?').run(thirtyDaysAgo);
+      db.prepare('DELETE FROM sessions WHERE completed_at IS NOT NULL AND completed_at < ?').run(thirtyDaysAgo);
+      clearExpiredIdempotencyKeys();
+    })();
   },
 
   clearIdempotencyKey(key) {
-    delete dbData.idempotencyKeys[key];
-    saveDatabase();
+    db.prepare('DELETE FROM idempotency_keys WHERE key = ?').run(key);
   }
 };
 
-export default { queries };
+export default { queries, migrate, schemaStatus };
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import { queries } from './database.js';
+import { resolveWorkspacePath } from './workspace.js';
+import { uploadPath, mimeType } from './uploads.js';
+
+export const EXPORT_FORMAT = 'gmgui-conversation';
+export const EXPORT_VERSION = 1;
+
+// Machine-local or sensitive fields stay behind: the owner, MCP server config (it can hold
+// credentials) and derived state such as pending reseeds
+const CONVERSATION_EXPORT_FIELDS = ['id', 'agentId', 'title', 'folderPath', 'created_at', 'updated_at', 'status', 'policy', 'trusted',
+  'acpSessionId', 'agentCapabilities', 'attachedMcpServers', 'modes', 'models'];
+
+export function exportConversation(conversationId) {
+  const conversation = queries.getConversation(conversationId);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: Date.now(),
+    conversation: Object.fromEntries(CONVERSATION_EXPORT_FIELDS.filter(f => conversation[f] != null).map(f => [f, conversation[f]])),
+    sessions: queries.getConversationSessions(conversationId).reverse()
+      .map(({ id, status, started_at, completed_at, response, error }) => ({ id, status, started_at, completed_at, response, error })),
+    messages: queries.getConversationMessages(conversationId)
+      .map(({ id, role, content, created_at, status, sessionId }) => ({ id, role, content, created_at, status, sessionId })),
+  };
+}
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isListOf = (value, check) => Array.isArray(value) && value.every(check);
+const isTime = (value) => value == null || Number.isFinite(value);
+
+// Blocks are checked against what the renderers read, so an import can't make an export fail
+function blockError(block) {
+  if (!isObject(block) || typeof block.type !== 'string') return 'blocks must be objects with a type';
+  if (block.type === 'thought' && typeof block.text !== 'string') return 'thought blocks need text';
+  if (block.type === 'plan' && !isListOf(block.entries, isObject)) return 'plan blocks need a list of entries';
+  if (block.type === 'tool_call' && block.content !== undefined && !isListOf(block.content, isObject)) return 'tool_call content must be a list';
+  if (block.type === 'html' && typeof block.html !== 'string') return 'html blocks need html';
+  if (block.type === 'image' && block.data !== undefined && (typeof block.data !== 'string' || !/^image\//.test(block.mimeType || ''))) return 'image blocks need base64 data and an image mimeType';
+  if (block.type === 'resource' && block.resource !== undefined && !isObject(block.resource)) return 'resource blocks need a resource';
+  return null;
+}
+
+function contentError(content) {
+  if (typeof content === 'string') return null;
+  if (!isObject(content)) return 'message content must be text or an object';
+  if (content.blocks !== undefined && !Array.isArray(content.blocks)) return 'message blocks must be a list';
+  if (content.attachments !== undefined && !isListOf(content.attachments, isObject)) return 'message attachments must be a list';
+  if (content.mentions !== undefined && !isListOf(content.mentions, isObject)) return 'message mentions must be a list';
+  for (const block of content.blocks || []) {
+    const error = blockError(block);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Same shape the agent reports: { currentModeId, availableModes: [{ id }] } or { currentModelId, availableModels: [{ modelId }] }
+function sessionStateValid(state, currentKey, listKey, idKey) {
+  return state == null || (isObject(state) && typeof state[currentKey] === 'string' && isListOf(state[listKey], s => isObject(s) && typeof s[idKey] === 'string'));
+}
+
+export function validateImport(data) {
+  if (data?.format !== EXPORT_FORMAT) return `Expected a ${EXPORT_FORMAT} JSON export`;
+  if (data.version > EXPORT_VERSION) return `Export version ${data.version} is newer than this server supports`;
+  const c = data.conversation;
+  if (!isObject(c)) return 'conversation is required';
+  if (!isTime(c.created_at)) return 'conversation.created_at must be a timestamp';
+  for (const field of ['agentId', 'title', 'folderPath']) {
+    if (c[field] != null && typeof c[field] !== 'string') return `conversation.${field} must be a string`;
+  }
+  if (!sessionStateValid(c.modes, 'currentModeId', 'availableModes', 'id')) return 'conversation.modes needs a currentModeId and availableModes with an id each';
+  if (!sessionStateValid(c.models, 'currentModelId', 'availableModels', 'modelId')) return 'conversation.models needs a currentModelId and availableModels with a modelId each';
+  if (!Array.isArray(data.messages) || data.messages.some(m => typeof m?.role !== 'string' || m.content == null || !isTime(m.created_at))) return 'messages must be a list of { role, content, created_at }';
+  for (const m of data.messages) {
+    const error = contentError(m.content);
+    if (error) return error;
+  }
+  if (data.sessions !== undefined && !isListOf(data.sessions, s => isObject(s) && isTime(s.started_at) && isTime(s.completed_at))) return 'sessions must be a list';
+  return null;
+}
+
+function messageText(content) {
+  return typeof content === 'string' ? content : content?.text || '';
+}
+
+function toolOutput(block) {
+  return (block.content || []).map(c => {
+    if (c.type === 'diff') return `--- ${c.path}\n${c.oldText ?? ''}\n+++ ${c.path}\n${c.newText ?? ''}`;
+    return c.content?.text || '';
+  }).filter(Boolean).join('\n');
+}
+
+function timestamp(ms) {
+  const date = new Date(ms);
+  return ms && !isNaN(date) ? date.toISOString() : '';
+}
+
+function fence(text, lang = '') {
+  const ticks = '`'.repeat(Math.max(3, ...(String(text).match(/`+/g) || []).map(t => t.length + 1)));
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+export function toMarkdown(data) {
+  const { conversation: c, messages, sessions } = data;
+  const lines = [`# ${c.title || 'Untitled chat'}`, ''];
+  lines.push(`- Agent: ${c.agentId || 'unknown'}`);
+  if (c.folderPath) lines.push(`- Folder: ${c.folderPath}`);
+  if (c.acpSessionId) lines.push(`- ACP session: ${c.acpSessionId}`);
+  if (c.modes?.currentModeId) lines.push(`- Mode: ${c.modes.currentModeId}`);
+  lines.push(`- Created: ${timestamp(c.created_at)}`, `- Exported: ${timestamp(data.exported_at)}`, `- Prompts: ${sessions.length}`, '');
+
+  for (const m of messages) {
+    lines.push(`## ${m.role === 'user' ? 'User' : m.role === 'assistant' ? 'Assistant' : m.role} · ${timestamp(m.created_at)}`, '');
+    const content = m.content;
+    for (const block of content?.blocks || []) {
+      if (block.type === 'thought') lines.push(block.text.split('\n').map(l => `> ${l}`).join('\n'), '');
+      else if (block.type === 'plan') lines.push(...block.entries.map(e => `- [${e.status === 'completed' ? 'x' : ' '}] ${e.content}`), '');
+      else if (block.type === 'tool_call') {
+        lines.push(`**${block.kind || 'tool'}: ${block.title || block.id}** (${block.status || 'pending'})`, '');
+        const output = toolOutput(block);
+        if (output) lines.push(fence(output), '');
+      } else if (block.type === 'permission') {
+        lines.push(`**Permission:** ${block.title} → ${block.outcome?.name || 'unanswered'}`, '');
+      } else if (block.type === 'html') {
+        lines.push(fence(block.html, 'html'), '');
+      } else if (block.type === 'image') {
+        lines.push(block.path ? `![${block.alt || block.title || ''}](${block.path})` : `*Image: ${block.name || block.mimeType}*`, '');
+      } else if (block.type === 'resource') {
+        lines.push(`**${block.name || block.resource?.uri}**`, '', fence(block.resource?.text || ''), '');
+      }
+    }
+    if (messageText(content)) lines.push(messageText(content), '');
+    for (const a of content?.attachments || []) lines.push(`- 📎 ${a.name}`);
+    for (const mention of content?.mentions || []) lines.push(`- @${mention.path}`);
+    if (content?.attachments?.length || content?.mentions?.length) lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function dataUrl(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return `data:${mimeType(filePath)};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+// Images are embedded as data: URLs so the file stands on its own. Only image files are read from disk.
+function imageSource(block, conversationId) {
+  if (block.data) return `data:${block.mimeType};base64,${block.data}`;
+  if (typeof block.path === 'string' && mimeType(block.path).startsWith('image/')) return dataUrl(resolveWorkspacePath(block.path));
+  if (block.name) return dataUrl(uploadPath(conversationId, block.name));
+  return null;
+}
+
+function htmlBlock(block, conversationId) {
+  if (block.type === 'thought') return `<details class="thought"><summary>Thought</summary><pre>${escapeHtml(block.text)}</pre></details>`;
+  if (block.type === 'plan') return `<ul class="plan">${block.entries.map(e => `<li class="${escapeHtml(e.status)}">${escapeHtml(e.content)}</li>`).join('')}</ul>`;
+  if (block.type === 'tool_call') {
+    const output = toolOutput(block);
+    return `<details class="tool"><summary>${escapeHtml(block.kind || 'tool')}: ${escapeHtml(block.title || block.id)} <span class="status">${escapeHtml(block.status || 'pending')}</span></summary>${output ? `<pre>${escapeHtml(output)}</pre>` : ''}</details>`;
+  }
+  if (block.type === 'permission') return `<p class="permission">Permission: ${escapeHtml(block.title)} → ${escapeHtml(block.outcome?.name || 'unanswered')}</p>`;
+  // Agent HTML keeps its own sandboxed frame, with scripts off whatever the chat's trust setting was
+  if (block.type === 'html') return `<iframe class="html-block" sandbox srcdoc="${escapeHtml(block.html)}" title="${escapeHtml(block.title || 'HTML')}"></iframe>`;
+  if (block.type === 'image') {
+    const src = imageSource(block, conversationId);
+    const label = block.alt || block.title || block.name || block.path || 'image';
+    return src ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(label)}">` : `<p class="missing">Image not available: ${escapeHtml(label)}</p>`;
+  }
+  if (block.type === 'resource') return `<details class="resource"><summary>${escapeHtml(block.name || block.resource?.uri)}</summary><pre>${escapeHtml(block.resource?.text)}</pre></details>`;
+  return '';
+}
+
+const HTML_STYLE = `
+  body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+  .meta { color: #59636e; font-size: 0.875rem; }
+  .message { border: 1px solid #d1d9e0; border-radius: 0.5rem; padding: 0.75rem 1rem; margin: 1rem 0; }
+  .message.user { background: #f6f8fa; }
+  .role { font-weight: 600; font-size: 0.8125rem; color: #59636e; margin-bottom: 0.5rem; }
+  .text { white-space: pre-wrap; }
+  pre { background: #f6f8fa; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+  img { max-width: 100%; }
+  .html-block { width: 100%; min-height: 200px; border: 1px solid #d1d9e0; }
+  .status, .missing { color: #59636e; }
+  .plan .completed { text-decoration: line-through; }
+`;
+
+export function toHtml(data, conversationId) {
+  const { conversation: c, messages, sessions } = data;
+  const meta = [`Agent: ${c.agentId || 'unknown'}`, c.folderPath && `Folder: ${c.folderPath}`, c.acpSessionId && `ACP session: ${c.acpSessionId}`,
+    c.modes?.currentModeId && `Mode: ${c.modes.currentModeId}`, `Created: ${timestamp(c.created_at)}`, `Exported: ${timestamp(data.exported_at)}`, `Prompts: ${sessions.length}`]
+    .filter(Boolean).map(escapeHtml).join(' · ');
+  const body = messages.map(m => {
+    const content = m.content;
+    const attachments = (content?.attachments || []).map(a => a.mimeType?.startsWith('image/')
+      ? htmlBlock({ type: 'image', name: a.name }, conversationId)
+      : `<p>📎 ${escapeHtml(a.name)}</p>`);
+    const mentions = (content?.mentions || []).map(mention => `<p>@${escapeHtml(mention.path)}</p>`);
+    return `<div class="message ${escapeHtml(m.role)}">
+  <div class="role">${escapeHtml(m.role)} · ${escapeHtml(timestamp(m.created_at))}</div>
+  ${(content?.blocks || []).map(b => htmlBlock(b, conversationId)).join('\n  ')}
+  ${messageText(content) ? `<div class="text">${escapeHtml(messageText(content))}</div>` : ''}
+  ${[...attachments, ...mentions].join('\n  ')}
+</div>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">
+<title>${escapeHtml(c.title || 'Chat')}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(c.title || 'Untitled chat')}</h1>
+<p class="meta">${meta}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+export default { EXPORT_FORMAT, EXPORT_VERSION, exportConversation, validateImport, toMarkdown, toHtml };
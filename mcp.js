@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const mcpFilePath = process.env.MCP_SERVERS_FILE || path.join(os.homedir(), '.gmgui', 'mcp.json');
+
+// Servers are stored in ACP's session/new shape:
+//   stdio: { name, command, args: [], env: [{ name, value }] }
+//   http/sse: { type: 'http'|'sse', name, url, headers: [{ name, value }] }
+export function listGlobalMcpServers() {
+  if (!fs.existsSync(mcpFilePath)) return [];
+  try {
+    const servers = JSON.parse(fs.readFileSync(mcpFilePath, 'utf-8'));
+    return Array.isArray(servers) ? servers : [];
+  } catch (e) {
+    console.error('Error loading MCP servers:', e.message);
+    return [];
+  }
+}
+
+export function saveGlobalMcpServers(servers) {
+  fs.mkdirSync(path.dirname(mcpFilePath), { recursive: true });
+  fs.writeFileSync(mcpFilePath, JSON.stringify(servers, null, 2));
+  return servers;
+}
+
+function validPairs(list) {
+  return list === undefined || (Array.isArray(list) && list.every(p => typeof p?.name === 'string' && p.name && typeof p.value === 'string'));
+}
+
+export function validateMcpServers(servers) {
+  if (!Array.isArray(servers)) return 'mcpServers must be an array';
+  const names = new Set();
+  for (const server of servers) {
+    if (typeof server?.name !== 'string' || !server.name.trim()) return 'Every MCP server needs a name';
+    if (names.has(server.name)) return `Duplicate MCP server name: ${server.name}`;
+    names.add(server.name);
+    if (server.type === 'http' || server.type === 'sse') {
+      try {
+        if (!/^https?:$/.test(new URL(server.url).protocol)) throw new Error();
+      } catch (e) {
+        return `${server.name}: url must be an http(s) URL`;
+      }
+      if (!validPairs(server.headers)) return `${server.name}: headers must be a list of { name, value }`;
+    } else if (server.type === undefined || server.type === 'stdio') {
+      if (typeof server.command !== 'string' || !server.command.trim()) return `${server.name}: command is required`;
+      if (server.args !== undefined && (!Array.isArray(server.args) || server.args.some(a => typeof a !== 'string'))) return `${server.name}: args must be an array of strings`;
+      if (!validPairs(server.env)) return `${server.name}: env must be a list of { name, value }`;
+    } else {
+      return `${server.name}: unknown type ${server.type}`;
+    }
+  }
+  return null;
+}
+
+function normalize(server) {
+  if (server.type === 'http' || server.type === 'sse') {
+    return { type: server.type, name: server.name, url: server.url, headers: server.headers || [] };
+  }
+  return { name: server.name, command: server.command, args: server.args || [], env: server.env || [] };
+}
+
+// Global servers plus the conversation's own, which win on a name clash. Transports the agent
+// didn't advertise in mcpCapabilities are left out and reported as skipped.
+export function sessionMcpServers(conversation, mcpCapabilities = {}) {
+  const own = Array.isArray(conversation?.mcpServers) ? conversation.mcpServers : [];
+  const merged = [...listGlobalMcpServers().filter(g => !own.some(s => s.name === g.name)), ...own];
+  const servers = [];
+  const attached = [];
+  for (const server of merged) {
+    const type = server.type || 'stdio';
+    const scope = own.includes(server) ? 'conversation' : 'global';
+    if (type !== 'stdio' && !mcpCapabilities?.[type]) {
+      attached.push({ name: server.name, type, scope, attached: false, reason: `agent does not support ${type} MCP servers` });
+      continue;
+    }
+    servers.push(normalize(server));
+    attached.push({ name: server.name, type, scope, attached: true });
+  }
+  return { servers, attached };
+}
+
+export default { listGlobalMcpServers, saveGlobalMcpServers, validateMcpServers, sessionMcpServers };
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const policyFilePath = process.env.POLICY_FILE || path.join(os.homedir(), '.gmgui', 'policy.json');
+const ACTIONS = ['allow', 'deny', 'prompt'];
+
+// Global rules are re-read on every evaluation so edits to policy.json apply without a restart
+export function loadPolicy() {
+  if (!fs.existsSync(policyFilePath)) return { default: 'prompt', rules: [] };
+  try {
+    const policy = JSON.parse(fs.readFileSync(policyFilePath, 'utf-8'));
+    const error = validatePolicy(policy);
+    if (error) throw new Error(error);
+    return { default: policy?.default || 'prompt', rules: policy?.rules || [] };
+  } catch (e) {
+    console.error('Error loading policy:', e.message);
+    return { default: 'prompt', rules: [] };
+  }
+}
+
+export function validatePolicy(policy) {
+  if (policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) return 'policy must be an object';
+  if (policy.default !== undefined && !ACTIONS.includes(policy.default)) return `default must be one of ${ACTIONS.join(', ')}`;
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) return 'rules must be an array';
+  for (const rule of policy.rules || []) {
+    if (!rule || typeof rule !== 'object') return 'rules must be objects';
+    if (!ACTIONS.includes(rule.action)) return `rule action must be one of ${ACTIONS.join(', ')}`;
+    if (rule.kind !== undefined && ![].concat(rule.kind).every(k => typeof k === 'string')) return 'rule kind must be a string or an array of strings';
+    if (rule.command !== undefined) {
+      if (typeof rule.command !== 'string') return 'rule command must be a string';
+      try { new RegExp(rule.command); } catch (e) { return `invalid command pattern: ${e.message}`; }
+    }
+    if (rule.path !== undefined && typeof rule.path !== 'string') return 'rule path must be a string';
+  }
+  return null;
+}
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function toolCallPaths(toolCall, cwd) {
+  const input = toolCall.rawInput || {};
+  const paths = [
+    ...(toolCall.locations || []).map(l => l.path),
+    input.file_path, input.path, input.notebook_path,
+  ].filter(p => typeof p === 'string' && p);
+  return paths.map(p => path.resolve(cwd, p));
+}
+
+function matchesRule(rule, toolCall, cwd) {
+  if (rule.kind !== undefined) {
+    const kinds = Array.isArray(rule.kind) ? rule.kind : [rule.kind];
+    if (!kinds.includes(toolCall.kind)) return false;
+  }
+  if (rule.command !== undefined) {
+    const command = toolCall.rawInput?.command || toolCall.title || '';
+    if (!new RegExp(rule.command).test(command)) return false;
+  }
+  if (rule.path !== undefined) {
+    const negated = rule.path.startsWith('!');
+    const pattern = (negated ? rule.path.slice(1) : rule.path)
+      .replace(/^~/, os.homedir())
+      .replace(/\{cwd\}/g, cwd);
+    const re = globToRegExp(path.resolve(cwd, pattern));
+    const paths = toolCallPaths(toolCall, cwd);
+    if (paths.length === 0) return false;
+    if (!paths.some(p => re.test(p) !== negated)) return false;
+  }
+  return true;
+}
+
+// Conversation rules are checked before global ones; the first matching rule decides
+export function evaluatePolicy(toolCall, { cwd, conversationPolicy = null }) {
+  const global = loadPolicy();
+  const sources = [['conversation', conversationPolicy?.rules || []], ['global', global.rules]];
+  for (const [source, rules] of sources) {
+    const index = rules.findIndex(rule => matchesRule(rule, toolCall, cwd));
+    if (index > -1) return { action: rules[index].action, source, rule: rules[index], ruleIndex: index };
+  }
+  return { action: conversationPolicy?.default || global.default, source: 'default', rule: null, ruleIndex: null };
+}
+
+export default { loadPolicy, validatePolicy, evaluatePolicy };
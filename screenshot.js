@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+
+const CAPTURE_TIMEOUT = 15000;
+
+// Tried in order; the first one installed that succeeds wins
+const TOOLS = [
+  { name: 'scrot', args: (file) => [file] },
+  { name: 'gnome-screenshot', args: (file) => ['-f', file] },
+  { name: 'import', args: (file) => ['-window', 'root', file] },
+];
+
+function screenshotError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout: CAPTURE_TIMEOUT }, (err, stdout, stderr) => {
+      if (err) reject(Object.assign(err, { stderr: String(stderr || '').trim() }));
+      else resolve();
+    });
+  });
+}
+
+// Captures the whole screen into dir and returns the file name
+export async function captureScreenshot(dir, format = 'png') {
+  if (!process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+    throw screenshotError('No display available: DISPLAY is not set on the server', 503);
+  }
+  const ext = format === 'jpg' ? 'jpg' : 'png';
+  const name = `screenshot-${new Date().toISOString().replace(/[:.]/g, '-')}.${ext}`;
+  const file = path.join(dir, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const failures = [];
+  for (const tool of TOOLS) {
+    try {
+      await run(tool.name, tool.args(file));
+      if (fs.existsSync(file) && fs.statSync(file).size > 0) return name;
+      failures.push(`${tool.name}: no image was written`);
+    } catch (e) {
+      if (e.code === 'ENOENT') continue;
+      failures.push(`${tool.name}: ${e.stderr || e.message}`);
+    }
+    fs.rmSync(file, { force: true });
+  }
+  if (failures.length === 0) {
+    throw screenshotError('No screenshot tool found: install scrot, gnome-screenshot or ImageMagick', 503);
+  }
+  throw screenshotError(`Screenshot failed (${failures.join('; ')})`, 500);
+}
+
+export default { captureScreenshot };
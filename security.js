@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import { config } from './config.js';
+
+// ALLOWED_ORIGINS is comma-separated; with neither it nor config.json's allowedOrigins only the
+// server's own origin may call the API
+const allowedOrigins = process.env.ALLOWED_ORIGINS !== undefined
+  ? process.env.ALLOWED_ORIGINS.split(',').map(o => o.trim()).filter(Boolean)
+  : Array.isArray(config.allowedOrigins) ? config.allowedOrigins : [];
+const csrfSetting = process.env.CSRF_PROTECTION ?? config.csrfProtection ?? 'on';
+export const CSRF_PROTECTION = !['off', 'false', false].includes(csrfSetting);
+
+// CSRF tokens are derived from the caller's auth token, so they need no storage but change on restart
+const csrfSecret = crypto.randomBytes(32);
+
+function sameOrigin(origin, req) {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Requests without an Origin header come from non-browser clients and same-origin navigations
+export function isOriginAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  return sameOrigin(origin, req) || allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+}
+
+export function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!origin || sameOrigin(origin, req) || !isOriginAllowed(req)) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token');
+}
+
+export function csrfToken(auth) {
+  return crypto.createHmac('sha256', csrfSecret).update(auth?.token?.id || 'anonymous').digest('base64url');
+}
+
+export function verifyCsrf(req, auth) {
+  if (!CSRF_PROTECTION || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+  const given = Buffer.from(req.headers['x-csrf-token'] || '');
+  const expected = Buffer.from(csrfToken(auth));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+export default { isOriginAllowed, setCorsHeaders, csrfToken, verifyCsrf, CSRF_PROTECTION };
@@ -1,82 +1,305 @@
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { WebSocketServer } from 'ws';
 import os from 'os';
-import { execSync } from 'child_process';
-import { queries } from './database.js';
+import { queries, migrate } from './database.js';
 import ACPConnection from './acp-launcher.js';
+import { evaluatePolicy, validatePolicy } from './policy.js';
+import { workspaceRoots, resolveWorkspacePath, searchFiles, OUTSIDE_WORKSPACE_ERROR } from './workspace.js';
+import { isOriginAllowed, setCorsHeaders, csrfToken, verifyCsrf } from './security.js';
+import { receiveUploads, listUploads, uploadPath, uploadDir, deleteUpload, removeUploads, attachmentBlocks, mimeType } from './uploads.js';
+import { captureScreenshot } from './screenshot.js';
+import { listGlobalMcpServers, saveGlobalMcpServers, validateMcpServers, sessionMcpServers } from './mcp.js';
+import { exportConversation, validateImport, toMarkdown, toHtml } from './export.js';
+import { discoverAgents, listAgents, getAgent, validateAgent, saveAgent, removeAgent } from './agents.js';
+import { authenticate, ensureDefaultToken, ensureAdminUser, listTokens, createToken, revokeToken, createUser, removeUser, login, publicUser, AUTH_DISABLED } from './auth.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PORT = process.env.PORT || 3000;
 const BASE_URL = (process.env.BASE_URL || '/gm').replace(/\/+$/, '');
+const SESSION_MODE = process.env.SESSION_MODE || null;
+const PERMISSION_TIMEOUT = (parseInt(process.env.PERMISSION_TIMEOUT) || 120) * 1000;
+// How long a cancelled prompt may take to wind down before its partial output is saved anyway
+const CANCEL_GRACE_MS = 5000;
+// Conversation fields clients may change with POST /api/conversations/:id
+const EDITABLE_FIELDS = ['title', 'status'];
+const OWNER_FIELDS = ['policy', 'trusted', 'mcpServers'];
+// Idle agent processes are reaped so a long-running server doesn't keep one per past conversation
+const ACP_IDLE_TIMEOUT = (parseInt(process.env.ACP_IDLE_TIMEOUT) || 30) * 60 * 1000;
+const RESEED_MESSAGE_LIMIT = 20;
+// JSON request bodies; file uploads have their own UPLOAD_MAX_MB limit
+const BODY_MAX_BYTES = (parseInt(process.env.BODY_MAX_MB) || 50) * 1024 * 1024;
+// Pasted and dropped files sent inline with a prompt, matching the limits the client enforces
+const INLINE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const INLINE_TEXT_MAX_BYTES = 256 * 1024;
+// Ordered from least to most privileged; a level grants everything below it
+const ACCESS_LEVELS = ['read', 'write', 'owner'];
 const watch = process.argv.includes('--watch');
 
+migrate();
+
 const staticDir = path.join(__dirname, 'static');
 if (!fs.existsSync(staticDir)) fs.mkdirSync(staticDir, { recursive: true });
 
-// ACP connection pool keyed by agentId
+// ACP connection pool keyed by conversationId, each conversation gets its own agent process and session
 const acpPool = new Map();
+const acpConnecting = new Map();
+
+// Output of in-flight prompts keyed by sessionId, so clients joining mid-stream can catch up
+const activeStreams = new Map();
+
+// session/request_permission calls held open until a user answers, keyed by permission id
+const pendingPermissions = new Map();
 
-async function getACP(agentId, cwd) {
-  let conn = acpPool.get(agentId);
-  if (conn?.isRunning()) return conn;
+// Prompts waiting per conversation; each conversation runs one prompt at a time in arrival order
+const promptQueues = new Map();
 
-  conn = new ACPConnection();
-  const agentType = agentId === 'opencode' ? 'opencode' : 'claude-code';
-  
+// Set on SIGTERM so the queue stops starting agents while the pool is being torn down
+let shuttingDown = false;
+const INTERRUPTED_ERROR = 'Interrupted by a server restart';
+
+async function getACP(conversationId, agentId, cwd) {
+  const existing = acpPool.get(conversationId);
+  // MCP servers are fixed when a session starts, so a changed list means reconnecting
+  const mcpUnchanged = existing && existing.mcpServersKey === JSON.stringify(sessionMcpServers(queries.getConversation(conversationId), existing.agentCapabilities.mcpCapabilities).servers);
+  if (existing?.isRunning() && existing.agentType === agentId && existing.cwd === cwd && mcpUnchanged) {
+    existing.lastUsed = Date.now();
+    return existing;
+  }
+  if (acpConnecting.has(conversationId)) return acpConnecting.get(conversationId);
+  const connecting = connectACP(conversationId, agentId, cwd).finally(() => acpConnecting.delete(conversationId));
+  acpConnecting.set(conversationId, connecting);
+  return connecting;
+}
+
+async function connectACP(conversationId, agentId, cwd) {
+  await releaseACP(conversationId);
+  const agent = getAgent(agentId);
+  if (!agent) throw new Error(`Unknown agent: ${agentId}`);
+  const conn = new ACPConnection();
+  conn.onSessionUpdate = (params) => handleSessionState(conversationId, conn, params.update);
   try {
-    await conn.connect(agentType, cwd);
+    await conn.connect(agent, cwd);
     await conn.initialize();
-    await conn.newSession(cwd);
-    await conn.setSessionMode('bypassPermissions');
-    await conn.injectSkills(['html_rendering', 'image_display', 'scrot', 'fs_access']);
-    acpPool.set(agentId, conn);
-    console.log(`ACP connection ready for ${agentId} in ${cwd}`);
+    const previous = queries.getConversation(conversationId);
+    const previousSessionId = previous?.acpSessionId;
+    const mcp = sessionMcpServers(previous, conn.agentCapabilities.mcpCapabilities);
+    const resumed = previousSessionId && conn.agentCapabilities.loadSession
+      ? await loadACPSession(conn, conversationId, previousSessionId, cwd, mcp.servers)
+      : false;
+    if (!resumed) {
+      await conn.newSession(cwd, mcp.servers);
+      await conn.injectSkills(['html_rendering', 'image_display', 'scrot', 'fs_access']);
+    }
+    conn.mcpServersKey = JSON.stringify(mcp.servers);
+    // A mode or model picked in this conversation outlives the session; otherwise the agent's default applies
+    const offered = (id) => id && (!conn.modes || conn.modes.availableModes?.some(m => m.id === id));
+    const mode = [previous?.modes?.currentModeId, agent.defaultMode || SESSION_MODE].find(offered);
+    if (mode && mode !== conn.modes?.currentModeId) await conn.setSessionMode(mode);
+    const model = previous?.models?.currentModelId;
+    if (model && model !== conn.models?.currentModelId && conn.models?.availableModels?.some(m => m.modelId === model)) {
+      await conn.setSessionModel(model).catch(e => console.error(`session/set_model failed for ${conversationId}: ${e.message}`));
+    }
+    conn.lastUsed = Date.now();
+    acpPool.set(conversationId, conn);
+
+    const contextLost = !resumed && !!previousSessionId && queries.getConversationMessages(conversationId).length > 0;
+    const conversation = queries.updateConversation(conversationId, {
+      acpSessionId: conn.sessionId,
+      agentCapabilities: conn.agentCapabilities,
+      attachedMcpServers: mcp.attached,
+      modes: conn.modes,
+      models: conn.models,
+      availableCommands: conn.availableCommands,
+      ...(contextLost && { contextLost: true }),
+    });
+    queries.createEvent(resumed ? 'acp.session_loaded' : 'acp.session_created', { acpSessionId: conn.sessionId, previousSessionId, mcpServers: mcp.attached }, conversationId);
+    if (conversation) broadcastSync({ type: 'conversation_updated', conversation });
+    console.log(`ACP connection ready for ${agentId} in ${cwd} (conversation ${conversationId}, ${resumed ? 'resumed' : 'new'} session)`);
     return conn;
   } catch (err) {
     console.error(`Failed to initialize ACP connection for ${agentId}: ${err.message}`);
-    acpPool.delete(agentId);
-    if (conn) await conn.terminate();
+    await conn.terminate();
     throw new Error(`ACP initialization failed for ${agentId}: ${err.message}`);
   }
 }
 
-function discoverAgents() {
-  const agents = [];
-  const binaries = [
-    { cmd: 'claude', id: 'claude-code', name: 'Claude Code', icon: 'C' },
-    { cmd: 'opencode', id: 'opencode', name: 'OpenCode', icon: 'O' },
-  ];
-  for (const bin of binaries) {
-    try {
-      const result = execSync(`which ${bin.cmd} 2>/dev/null`, { encoding: 'utf-8' }).trim();
-      if (result) agents.push({ id: bin.id, name: bin.name, icon: bin.icon, path: result });
-    } catch (_) {}
+// Keeps the stored session state in step when the agent changes it between or during prompts.
+// Updates that arrive while connecting are saved by connectACP itself.
+function handleSessionState(conversationId, conn, update) {
+  if (acpPool.get(conversationId) !== conn) return;
+  let conversation;
+  if (update?.sessionUpdate === 'current_mode_update') {
+    if (queries.getConversation(conversationId)?.modes?.currentModeId === update.currentModeId) return;
+    conversation = queries.updateConversation(conversationId, { modes: conn.modes });
+    queries.createEvent('acp.mode_changed', { modeId: update.currentModeId, by: 'agent' }, conversationId);
+  } else if (update?.sessionUpdate === 'available_commands_update') {
+    conversation = queries.updateConversation(conversationId, { availableCommands: conn.availableCommands });
+  }
+  if (conversation) broadcastSync({ type: 'conversation_updated', conversation });
+}
+
+async function loadACPSession(conn, conversationId, acpSessionId, cwd, mcpServers) {
+  const replay = [];
+  conn.onUpdate = ({ update }) => {
+    const role = update?.sessionUpdate === 'user_message_chunk' ? 'user' : update?.sessionUpdate === 'agent_message_chunk' ? 'assistant' : null;
+    if (!role || !update.content?.text) return;
+    const last = replay[replay.length - 1];
+    if (last?.role === role) last.text += update.content.text;
+    else replay.push({ role, text: update.content.text });
+  };
+  try {
+    await conn.loadSession(acpSessionId, cwd, mcpServers);
+  } catch (e) {
+    console.error(`session/load failed for ${acpSessionId}: ${e.message}`);
+    return false;
+  } finally {
+    conn.onUpdate = null;
   }
-  return agents;
+  // Only backfill when the store has nothing, otherwise the replay duplicates what is already shown
+  if (queries.getConversationMessages(conversationId).length === 0) {
+    for (const { role, text } of replay) {
+      const message = queries.createMessage(conversationId, role, text);
+      broadcastSync({ type: 'message_created', conversationId, message });
+    }
+  }
+  return true;
 }
 
-const discoveredAgents = discoverAgents();
+function conversationCwd(conversation, folderContext) {
+  return conversation?.folderPath || resolveWorkspacePath(folderContext?.path) || workspaceRoots()[0];
+}
+
+// Images and text files pasted into the input travel inline on the message as ACP blocks
+function inlineBlockError(blocks, promptCapabilities) {
+  for (const block of blocks) {
+    if (block?.type === 'image') {
+      if (typeof block.data !== 'string' || !/^image\//.test(block.mimeType || '')) return 'image blocks need base64 data and an image mimeType';
+      if (Buffer.byteLength(block.data, 'base64') > INLINE_IMAGE_MAX_BYTES) return `Images are limited to ${INLINE_IMAGE_MAX_BYTES / 1024 / 1024} MB`;
+      if (promptCapabilities && !promptCapabilities.image) return 'This agent does not accept images';
+    } else if (block?.type === 'resource') {
+      if (typeof block.resource?.uri !== 'string' || typeof block.resource?.text !== 'string') return 'resource blocks need a uri and text';
+      if (Buffer.byteLength(block.resource.text) > INLINE_TEXT_MAX_BYTES) return `Inline text files are limited to ${INLINE_TEXT_MAX_BYTES / 1024} KB`;
+      if (promptCapabilities && !promptCapabilities.embeddedContext) return 'This agent does not accept embedded files';
+    } else {
+      return `Unsupported content block: ${block?.type}`;
+    }
+  }
+  return null;
+}
+
+// An agent that turns out not to support a block type still gets the gist as text
+function inlineBlock(block, promptCapabilities = {}) {
+  if (block.type === 'image') {
+    return promptCapabilities.image
+      ? { type: 'image', mimeType: block.mimeType, data: block.data }
+      : { type: 'text', text: `[Image ${block.name || ''} omitted: the agent does not accept images]` };
+  }
+  return promptCapabilities.embeddedContext
+    ? { type: 'resource', resource: { uri: block.resource.uri, mimeType: block.resource.mimeType, text: block.resource.text } }
+    : { type: 'text', text: `${block.name || block.resource.uri}:\n${block.resource.text}` };
+}
+
+// @-mentioned paths are relative to the conversation folder and must stay inside it once symlinks are resolved
+function mentionPath(conversation, relative) {
+  if (typeof relative !== 'string' || !relative) return null;
+  const root = resolveWorkspacePath(conversationCwd(conversation));
+  const filePath = root && resolveWorkspacePath(path.resolve(root, relative));
+  const inside = filePath && path.relative(root, filePath);
+  if (!inside || inside === '..' || inside.startsWith('..' + path.sep) || path.isAbsolute(inside)) return null;
+  try {
+    return filePath && fs.statSync(filePath).isFile() ? filePath : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// User messages are plain text, or { text, blocks, attachments, mentions } when files were pasted,
+// uploaded or @-mentioned
+function promptBlocks(conversationId, content, conn) {
+  if (Array.isArray(content)) return content;
+  if (typeof content !== 'object' || content === null) return [{ type: 'text', text: String(content ?? '') }];
+  const promptCapabilities = conn.agentCapabilities?.promptCapabilities;
+  return [
+    ...(content.text ? [{ type: 'text', text: content.text }] : []),
+    ...(content.blocks || []).map(block => inlineBlock(block, promptCapabilities)),
+    ...attachmentBlocks(conversationId, content.attachments, promptCapabilities),
+    ...(content.mentions || []).map(m => ({ type: 'resource_link', uri: m.uri, name: m.path })),
+  ];
+}
+
+function buildHistorySummary(conversationId, excludeMessageId) {
+  const lines = queries.getConversationMessages(conversationId)
+    .filter(m => m.id !== excludeMessageId && (m.role === 'user' || m.role === 'assistant'))
+    .slice(-RESEED_MESSAGE_LIMIT)
+    .map(m => {
+      const text = typeof m.content === 'string' ? m.content : m.content?.text || '';
+      return `${m.role === 'user' ? 'User' : 'Assistant'}: ${text.slice(0, 2000)}`;
+    });
+  return `This conversation continues an earlier session whose context was lost. The previous messages were:\n\n${lines.join('\n\n')}`;
+}
+
+async function releaseACP(conversationId) {
+  const conn = acpPool.get(conversationId);
+  if (!conn) return;
+  acpPool.delete(conversationId);
+  await conn.terminate();
+}
 
+discoverAgents();
+
+// Bodies over BODY_MAX_BYTES are drained unread so the client can still read the 413
 function parseBody(req) {
+  const tooLarge = () => Object.assign(new Error(`Request body exceeds the ${BODY_MAX_BYTES / 1024 / 1024} MB limit`), { status: 413 });
   return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
+    if (parseInt(req.headers['content-length']) > BODY_MAX_BYTES) {
+      req.resume();
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let received = 0;
+    let failed = false;
+    req.on('data', chunk => {
+      if (failed) return;
+      received += chunk.length;
+      if (received > BODY_MAX_BYTES) {
+        failed = true;
+        chunks.length = 0;
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
     req.on('error', reject);
     req.on('end', () => {
+      if (failed) return;
+      const body = Buffer.concat(chunks).toString('utf-8');
       try { resolve(body ? JSON.parse(body) : {}); }
-      catch (e) { reject(new Error('Invalid JSON')); }
+      catch (e) { reject(Object.assign(new Error('Invalid JSON'), { status: 400 })); }
     });
   });
 }
 
+// A stray "%" in a path segment is the client's mistake, so it surfaces as a 400 rather than a 500
+function decodeSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw Object.assign(new Error('Malformed URL encoding'), { status: 400 });
+  }
+}
+
 const server = http.createServer(async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
+  setCorsHeaders(req, res);
+  if (!isOriginAllowed(req)) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Origin not allowed' }));
+    return;
+  }
+  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
   if (req.url === '/') { res.writeHead(302, { Location: BASE_URL + '/' }); res.end(); return; }
 
@@ -84,56 +307,395 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(404); res.end('Not found'); return;
   }
 
-  const routePath = req.url.slice(BASE_URL.length) || '/';
+  const routePath = req.url.slice(BASE_URL.length).split('?')[0] || '/';
+
+  const requiresAuth = routePath.startsWith('/api/') && routePath !== '/api/login';
+  const auth = requiresAuth ? authenticate(req) : null;
+  if (requiresAuth && !auth) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return;
+  }
+  const user = auth?.user || null;
+  if (requiresAuth && !verifyCsrf(req, auth)) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Missing or invalid CSRF token', code: 'csrf_invalid' }));
+    return;
+  }
 
   try {
+    if (routePath === '/api/auth' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ token: auth.token, user: publicUser(user), authDisabled: AUTH_DISABLED, csrfToken: csrfToken(auth) }));
+      return;
+    }
+
+    if (routePath === '/api/login' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const entry = login(body.username, body.password);
+      if (!entry) { res.writeHead(401, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Invalid username or password' })); return; }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ token: entry.token, user: publicUser(queries.getUser(entry.userId)), csrfToken: csrfToken({ token: entry }) }));
+      return;
+    }
+
+    if (routePath === '/api/logout' && req.method === 'POST') {
+      // Only sign-in tokens are revoked; the default and CLI-made tokens are just forgotten by the browser
+      if (auth.token?.expires_at) revokeToken(auth.token.id);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ loggedOut: true }));
+      return;
+    }
+
+    if (routePath === '/api/users' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ users: queries.getAllUsers().map(publicUser) }));
+      return;
+    }
+
+    if (routePath === '/api/users' && req.method === 'POST') {
+      if (user && user.role !== 'admin') { res.writeHead(403, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Only admins can add users' })); return; }
+      const body = await parseBody(req);
+      try {
+        const created = createUser(body.username, body.password, body.role === 'admin' ? 'admin' : 'user');
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ user: publicUser(created) }));
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+
+    const userMatch = routePath.match(/^\/api\/users\/([^/]+)$/);
+    if (userMatch && req.method === 'DELETE') {
+      if (user && user.role !== 'admin') { res.writeHead(403, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Only admins can remove users' })); return; }
+      if (user?.id === userMatch[1]) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'You cannot remove your own account' })); return; }
+      try {
+        if (!removeUser(userMatch[1])) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'User not found' })); return; }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ deleted: true }));
+      } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+
+    if (routePath === '/api/tokens' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ tokens: listTokens(user) }));
+      return;
+    }
+
+    if (routePath === '/api/tokens' && req.method === 'POST') {
+      const body = await parseBody(req);
+      if (!body.name) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'name is required' })); return; }
+      const token = createToken(body.name, user?.id || null);
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ token }));
+      return;
+    }
+
+    const tokenMatch = routePath.match(/^\/api\/tokens\/([^/]+)$/);
+    if (tokenMatch && req.method === 'DELETE') {
+      if (!revokeToken(tokenMatch[1], user)) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Token not found' })); return; }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ revoked: true }));
+      return;
+    }
+
     if (routePath === '/api/conversations' && req.method === 'GET') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ conversations: queries.getAllConversations() }));
+      res.end(JSON.stringify({ conversations: user ? queries.getUserConversations(user.id).map(c => visibleConversation(c, user)) : queries.getAllConversations() }));
+      return;
+    }
+
+    if (routePath === '/api/search' && req.method === 'GET') {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const limit = Math.min(Math.max(parseInt(params.get('limit')) || 50, 1), 200);
+      const conversationIds = user ? queries.getUserConversations(user.id).map(c => c.id) : null;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ results: queries.search(params.get('q'), { conversationIds, limit }) }));
       return;
     }
 
     if (routePath === '/api/conversations' && req.method === 'POST') {
       const body = await parseBody(req);
-      const conversation = queries.createConversation(body.agentId, body.title);
-      queries.createEvent('conversation.created', { agentId: body.agentId }, conversation.id);
+      if (body.folderPath && !resolveWorkspacePath(body.folderPath)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: OUTSIDE_WORKSPACE_ERROR, path: body.folderPath }));
+        return;
+      }
+      const conversation = queries.createConversation(body.agentId, body.title, body.folderPath, user?.id || null);
+      queries.createEvent('conversation.created', { agentId: body.agentId, folderPath: conversation.folderPath }, conversation.id);
+      broadcastSync({ type: 'conversation_created', conversation });
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversation }));
+      return;
+    }
+
+    if (routePath === '/api/conversations/import' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = validateImport(body);
+      if (error) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error })); return; }
+      // A folder from another machine is only kept when it is inside this server's workspace roots
+      const folderPath = body.conversation.folderPath && resolveWorkspacePath(body.conversation.folderPath) ? body.conversation.folderPath : null;
+      const conversation = queries.importConversation({ ...body, conversation: { ...body.conversation, folderPath } }, user?.id || null);
+      queries.createEvent('conversation.imported', { sourceId: body.conversation.id, messages: body.messages.length, exported_at: body.exported_at }, conversation.id);
       broadcastSync({ type: 'conversation_created', conversation });
       res.writeHead(201, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ conversation }));
       return;
     }
 
+    const exportMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/export$/);
+    if (exportMatch && req.method === 'GET') {
+      if (!requireAccess(res, exportMatch[1], user, 'read')) return;
+      const format = new URL(req.url, 'http://localhost').searchParams.get('format') || 'json';
+      if (!['md', 'json', 'html'].includes(format)) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'format must be md, json or html' })); return; }
+      const data = exportConversation(exportMatch[1]);
+      const body = format === 'md' ? toMarkdown(data) : format === 'html' ? toHtml(data, exportMatch[1]) : JSON.stringify(data, null, 2);
+      const contentType = { md: 'text/markdown', json: 'application/json', html: 'text/html' }[format];
+      const filename = `${(data.conversation.title || 'chat').replace(/[^\w.-]+/g, '-')}.${format}`;
+      queries.createEvent('conversation.exported', { format }, exportMatch[1]);
+      res.writeHead(200, { 'Content-Type': `${contentType}; charset=utf-8`, 'Content-Disposition': `attachment; filename="${filename}"`, 'X-Content-Type-Options': 'nosniff' });
+      res.end(body);
+      return;
+    }
+
     const convMatch = routePath.match(/^\/api\/conversations\/([^/]+)$/);
     if (convMatch) {
+      const level = req.method === 'GET' ? 'read' : req.method === 'DELETE' ? 'owner' : 'write';
+      if (!requireAccess(res, convMatch[1], user, level)) return;
+
       if (req.method === 'GET') {
         const conv = queries.getConversation(convMatch[1]);
-        if (!conv) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ conversation: conv }));
+        res.end(JSON.stringify({ conversation: visibleConversation(conv, user) }));
         return;
       }
 
       if (req.method === 'POST') {
         const body = await parseBody(req);
-        const conv = queries.updateConversation(convMatch[1], body);
-        queries.createEvent('conversation.updated', body, convMatch[1]);
+        const policyError = body.policy !== undefined && validatePolicy(body.policy);
+        if (policyError) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: policyError })); return; }
+        const mcpError = body.mcpServers !== undefined && validateMcpServers(body.mcpServers);
+        if (mcpError) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: mcpError })); return; }
+        // The policy decides what runs without approval, trusted HTML runs scripts and MCP servers
+        // run commands, so only the owner may change them
+        if (OWNER_FIELDS.some(f => body[f] !== undefined) && !requireAccess(res, convMatch[1], user, 'owner')) return;
+        // Session state (agent session, capabilities, modes, reseeding) is only written by the server and agent
+        const changes = Object.fromEntries([...EDITABLE_FIELDS, ...OWNER_FIELDS].filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+        const conv = queries.updateConversation(convMatch[1], changes);
+        queries.createEvent('conversation.updated', changes, convMatch[1]);
         broadcastSync({ type: 'conversation_updated', conversation: conv });
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ conversation: conv }));
+        res.end(JSON.stringify({ conversation: visibleConversation(conv, user) }));
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        const viewers = queries.getConversationViewers(convMatch[1]);
+        queries.deleteConversation(convMatch[1]);
+        removeUploads(convMatch[1]);
+        promptQueues.get(convMatch[1])?.pending.splice(0);
+        await releaseACP(convMatch[1]);
+        broadcastSync({ type: 'conversation_deleted', conversationId: convMatch[1] }, viewers);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ deleted: true }));
+        return;
+      }
+    }
+
+    const resumeMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/resume$/);
+    if (resumeMatch && req.method === 'POST') {
+      if (!requireAccess(res, resumeMatch[1], user, 'write')) return;
+      const conv = queries.getConversation(resumeMatch[1]);
+      await getACP(conv.id, conv.agentId || 'claude-code', conversationCwd(conv));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversation: visibleConversation(queries.getConversation(conv.id), user) }));
+      return;
+    }
+
+    const modeMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/mode$/);
+    if (modeMatch && req.method === 'GET') {
+      if (!requireAccess(res, modeMatch[1], user, 'read')) return;
+      const conv = queries.getConversation(modeMatch[1]);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ modes: conv.modes || null, models: conv.models || null }));
+      return;
+    }
+
+    if (modeMatch && req.method === 'POST') {
+      if (!requireAccess(res, modeMatch[1], user, 'write')) return;
+      const body = await parseBody(req);
+      const conv = queries.getConversation(modeMatch[1]);
+      const error = body.modeId === undefined && body.modelId === undefined ? 'modeId or modelId is required'
+        : body.modeId !== undefined && !conv.modes?.availableModes?.some(m => m.id === body.modeId) ? `Unknown mode: ${body.modeId}`
+        : body.modelId !== undefined && !conv.models?.availableModels?.some(m => m.modelId === body.modelId) ? `Unknown model: ${body.modelId}`
+        : null;
+      if (error) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error })); return; }
+      // Stored first so the agent's own current_mode_update is recognised as an echo. Without a
+      // live session the choice is applied when the agent next connects.
+      const updated = queries.updateConversation(conv.id, {
+        ...(body.modeId !== undefined && { modes: { ...conv.modes, currentModeId: body.modeId } }),
+        ...(body.modelId !== undefined && { models: { ...conv.models, currentModelId: body.modelId } }),
+      });
+      const conn = acpPool.get(conv.id);
+      if (conn?.isRunning() && conn.sessionId === conv.acpSessionId) {
+        try {
+          if (body.modeId !== undefined) await conn.setSessionMode(body.modeId);
+          if (body.modelId !== undefined) await conn.setSessionModel(body.modelId);
+        } catch (e) {
+          queries.updateConversation(conv.id, { modes: conn.modes, models: conn.models });
+          throw e;
+        }
+      }
+      queries.createEvent('acp.mode_changed', { modeId: body.modeId, modelId: body.modelId, by: 'user' }, conv.id);
+      broadcastSync({ type: 'conversation_updated', conversation: updated });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ modes: updated.modes || null, models: updated.models || null }));
+      return;
+    }
+
+    // Forgets the messages and the agent session so the next prompt starts from an empty context
+    const clearMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/clear$/);
+    if (clearMatch && req.method === 'POST') {
+      if (!requireAccess(res, clearMatch[1], user, 'write')) return;
+      if (promptQueues.has(clearMatch[1])) { res.writeHead(409, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Wait for the agent to finish, or stop it, before clearing' })); return; }
+      await releaseACP(clearMatch[1]);
+      const deleted = queries.deleteConversationMessages(clearMatch[1]);
+      const conv = queries.updateConversation(clearMatch[1], { acpSessionId: null, contextLost: false, reseedPending: false, availableCommands: null });
+      queries.createEvent('conversation.cleared', { messages: deleted }, conv.id);
+      broadcastSync({ type: 'conversation_cleared', conversationId: conv.id });
+      broadcastSync({ type: 'conversation_updated', conversation: conv });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversation: visibleConversation(conv, user) }));
+      return;
+    }
+
+    const reseedMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/reseed$/);
+    if (reseedMatch && req.method === 'POST') {
+      if (!requireAccess(res, reseedMatch[1], user, 'write')) return;
+      const body = await parseBody(req);
+      const conv = queries.updateConversation(reseedMatch[1], { contextLost: false, reseedPending: !!body.accept });
+      queries.createEvent('conversation.reseed_answered', { accept: !!body.accept }, conv.id);
+      broadcastSync({ type: 'conversation_updated', conversation: conv });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversation: visibleConversation(conv, user) }));
+      return;
+    }
+
+    const filesMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/files$/);
+    if (filesMatch && req.method === 'GET') {
+      if (!requireAccess(res, filesMatch[1], user, 'read')) return;
+      const root = resolveWorkspacePath(conversationCwd(queries.getConversation(filesMatch[1])));
+      if (!root) { res.writeHead(403, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: OUTSIDE_WORKSPACE_ERROR })); return; }
+      const query = new URL(req.url, 'http://localhost').searchParams.get('q') || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ root, files: searchFiles(root, query) }));
+      return;
+    }
+
+    const uploadsMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/uploads$/);
+    if (uploadsMatch) {
+      if (!requireAccess(res, uploadsMatch[1], user, req.method === 'GET' ? 'read' : 'write')) return;
+
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ files: listUploads(uploadsMatch[1]) }));
+        return;
+      }
+
+      if (req.method === 'POST') {
+        try {
+          const { files } = await receiveUploads(req, uploadsMatch[1]);
+          queries.createEvent('uploads.created', { files: files.map(f => f.name) }, uploadsMatch[1]);
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ files }));
+        } catch (err) {
+          res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+      }
+    }
+
+    const uploadMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/uploads\/([^/]+)$/);
+    if (uploadMatch) {
+      const [, conversationId, encodedName] = uploadMatch;
+      if (!requireAccess(res, conversationId, user, req.method === 'GET' ? 'read' : 'write')) return;
+      const name = decodeSegment(encodedName);
+      const filePath = uploadPath(conversationId, name);
+      if (!filePath) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
+
+      if (req.method === 'GET') {
+        // Always a download, so uploaded HTML or SVG never renders in the gmgui origin
+        res.writeHead(200, {
+          'Content-Type': mimeType(name),
+          'Content-Length': fs.statSync(filePath).size,
+          'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(name)}`,
+          'X-Content-Type-Options': 'nosniff',
+        });
+        fs.createReadStream(filePath).pipe(res);
         return;
       }
 
       if (req.method === 'DELETE') {
-        const deleted = queries.deleteConversation(convMatch[1]);
-        if (!deleted) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
+        deleteUpload(conversationId, name);
+        queries.createEvent('uploads.deleted', { name }, conversationId);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ deleted: true }));
         return;
       }
     }
 
+    const sharesMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/shares$/);
+    if (sharesMatch) {
+      const conversationId = sharesMatch[1];
+      if (!requireAccess(res, conversationId, user, req.method === 'GET' ? 'read' : 'owner')) return;
+
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ shares: queries.getConversationShares(conversationId) }));
+        return;
+      }
+
+      if (req.method === 'POST') {
+        const body = await parseBody(req);
+        if (!['read', 'write'].includes(body.access)) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'access must be read or write' })); return; }
+        const target = queries.getUserByUsername(body.username || '');
+        if (!target) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'User not found' })); return; }
+        const conversation = queries.getConversation(conversationId);
+        if (target.id === conversation.ownerId) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'The owner already has full access' })); return; }
+        queries.setConversationShare(conversationId, target.id, body.access);
+        queries.createEvent('conversation.shared', { userId: target.id, access: body.access }, conversationId);
+        broadcastSync({ type: 'conversation_shared', conversationId, userId: target.id, access: body.access, conversation });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ shares: queries.getConversationShares(conversationId) }));
+        return;
+      }
+    }
+
+    const shareMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/shares\/([^/]+)$/);
+    if (shareMatch && req.method === 'DELETE') {
+      const [, conversationId, userId] = shareMatch;
+      // Owners can unshare anyone; anyone can leave a conversation shared with them
+      if (!requireAccess(res, conversationId, user, user?.id === userId ? 'read' : 'owner')) return;
+      const viewers = queries.getConversationViewers(conversationId);
+      if (!queries.removeConversationShare(conversationId, userId)) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Share not found' })); return; }
+      queries.createEvent('conversation.unshared', { userId }, conversationId);
+      broadcastSync({ type: 'conversation_shared', conversationId, userId, access: null }, viewers);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ shares: queries.getConversationShares(conversationId) }));
+      return;
+    }
+
     const messagesMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/messages$/);
     if (messagesMatch) {
+      if (!requireAccess(res, messagesMatch[1], user, req.method === 'GET' ? 'read' : 'write')) return;
+
       if (req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ messages: queries.getConversationMessages(messagesMatch[1]) }));
@@ -144,39 +706,114 @@ const server = http.createServer(async (req, res) => {
         const conversationId = messagesMatch[1];
         const body = await parseBody(req);
         const idempotencyKey = body.idempotencyKey || null;
-        const message = queries.createMessage(conversationId, 'user', body.content, idempotencyKey);
-        queries.createEvent('message.created', { role: 'user', messageId: message.id }, conversationId);
-        broadcastSync({ type: 'message_created', conversationId, message });
+        const names = Array.isArray(body.attachments) ? body.attachments : [];
+        const missing = names.find(name => !uploadPath(conversationId, name));
+        if (missing !== undefined) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: `Unknown upload: ${missing}` })); return; }
+        const uploads = listUploads(conversationId);
+        const attachments = names.map(name => uploads.find(f => f.name === name)).map(({ name, size, mimeType }) => ({ name, size, mimeType }));
+        const mentions = [];
+        for (const relative of Array.isArray(body.mentions) ? body.mentions : []) {
+          const filePath = mentionPath(queries.getConversation(conversationId), relative);
+          if (!filePath) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: `Unknown file: ${relative}` })); return; }
+          mentions.push({ path: relative, uri: pathToFileURL(filePath).href });
+        }
+        const blocks = Array.isArray(body.blocks) ? body.blocks : [];
+        const blockError = inlineBlockError(blocks, queries.getConversation(conversationId).agentCapabilities?.promptCapabilities);
+        if (blockError) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: blockError })); return; }
+        const content = attachments.length > 0 || blocks.length > 0 || mentions.length > 0
+          ? { text: body.content || '', ...(blocks.length > 0 && { blocks }), ...(attachments.length > 0 && { attachments }), ...(mentions.length > 0 && { mentions }) }
+          : body.content;
+        const created = queries.createMessage(conversationId, 'user', content, idempotencyKey);
+        if (created.sessionId) {
+          // A retried request with a known idempotency key must not queue the prompt twice
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ message: created, session: queries.getSession(created.sessionId), idempotencyKey }));
+          return;
+        }
         const session = queries.createSession(conversationId);
+        const message = queries.updateMessage(created.id, { sessionId: session.id, status: 'queued' });
+        queries.createEvent('message.created', { role: 'user', messageId: message.id }, conversationId);
         queries.createEvent('session.created', { messageId: message.id, sessionId: session.id }, conversationId, session.id);
+        broadcastSync({ type: 'message_created', conversationId, message, idempotencyKey });
+        enqueuePrompt(conversationId, { messageId: message.id, sessionId: session.id, agentId: body.agentId, folderContext: body.folderContext });
         res.writeHead(201, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ message, session, idempotencyKey }));
-        processMessage(conversationId, message.id, session.id, body.content, body.agentId, body.folderContext);
+        res.end(JSON.stringify({ message, session, idempotencyKey, queuePosition: queuePosition(conversationId, message.id) }));
         return;
       }
     }
 
     const messageMatch = routePath.match(/^\/api\/conversations\/([^/]+)\/messages\/([^/]+)$/);
-    if (messageMatch && req.method === 'GET') {
-      const msg = queries.getMessage(messageMatch[2]);
-      if (!msg || msg.conversationId !== messageMatch[1]) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ message: msg }));
-      return;
+    if (messageMatch) {
+      const [, conversationId, messageId] = messageMatch;
+      if (!requireAccess(res, conversationId, user, req.method === 'GET' ? 'read' : 'write')) return;
+      const msg = queries.getMessage(messageId);
+      if (!msg || msg.conversationId !== conversationId) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
+
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: msg }));
+        return;
+      }
+
+      if ((req.method === 'PUT' || req.method === 'DELETE') && msg.status !== 'queued') {
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Only queued messages can be changed' }));
+        return;
+      }
+
+      if (req.method === 'PUT') {
+        const body = await parseBody(req);
+        if (!body.content) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'content is required' })); return; }
+        // Attachments stay with the message; only its text is edited
+        const content = msg.content && typeof msg.content === 'object' ? { ...msg.content, text: body.content } : body.content;
+        const message = queries.updateMessage(messageId, { content });
+        queries.createEvent('message.updated', { messageId }, conversationId);
+        broadcastSync({ type: 'message_updated', conversationId, message });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message }));
+        return;
+      }
+
+      if (req.method === 'DELETE') {
+        dequeuePrompt(conversationId, messageId);
+        queries.deleteMessage(messageId);
+        queries.updateSession(msg.sessionId, { status: 'cancelled', completed_at: Date.now() });
+        queries.createEvent('message.deleted', { messageId }, conversationId, msg.sessionId);
+        broadcastSync({ type: 'message_deleted', conversationId, messageId });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ deleted: true }));
+        return;
+      }
     }
 
     const sessionMatch = routePath.match(/^\/api\/sessions\/([^/]+)$/);
     if (sessionMatch && req.method === 'GET') {
       const sess = queries.getSession(sessionMatch[1]);
       if (!sess) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
+      if (!requireAccess(res, sess.conversationId, user, 'read')) return;
       const events = queries.getSessionEvents(sessionMatch[1]);
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ session: sess, events }));
       return;
     }
 
+    const cancelMatch = routePath.match(/^\/api\/sessions\/([^/]+)\/cancel$/);
+    if (cancelMatch && req.method === 'POST') {
+      const sessionId = cancelMatch[1];
+      const sess = queries.getSession(sessionId);
+      if (!sess) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Not found' })); return; }
+      if (!requireAccess(res, sess.conversationId, user, 'write')) return;
+      const stream = activeStreams.get(sessionId);
+      if (!stream) { res.writeHead(409, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: `Session is ${sess.status}` })); return; }
+      cancelSession(sessionId, stream);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ session: queries.getSession(sessionId) }));
+      return;
+    }
+
     if (routePath.match(/^\/api\/conversations\/([^/]+)\/sessions\/latest$/) && req.method === 'GET') {
       const convId = routePath.match(/^\/api\/conversations\/([^/]+)\/sessions\/latest$/)[1];
+      if (!requireAccess(res, convId, user, 'read')) return;
       const latestSession = queries.getLatestSession(convId);
       if (!latestSession) {
         res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -184,32 +821,127 @@ const server = http.createServer(async (req, res) => {
         return;
       }
       const events = queries.getSessionEvents(latestSession.id);
+      const active = activeStreams.get(latestSession.id);
+      const stream = active ? { seq: active.seq, chunks: active.chunks } : null;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ session: latestSession, events, stream }));
+      return;
+    }
+
+    const permissionMatch = routePath.match(/^\/api\/permissions\/([^/]+)$/);
+    if (permissionMatch && req.method === 'POST') {
+      const body = await parseBody(req);
+      const pending = pendingPermissions.get(permissionMatch[1]);
+      if (!pending) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Permission request not found or already answered' })); return; }
+      if (!requireAccess(res, pending.conversationId, user, 'write')) return;
+      if (!pending.block.options.some(o => o.optionId === body.optionId)) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Unknown optionId' })); return; }
+      resolvePermission(permissionMatch[1], body.optionId, 'user');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ permission: pending.block }));
+      return;
+    }
+
+    // Global servers can carry credentials in env and headers, so they stay admin-only
+    if (routePath === '/api/mcp-servers' && user && user.role !== 'admin') {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Only admins can manage global MCP servers' }));
+      return;
+    }
+
+    if (routePath === '/api/mcp-servers' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ servers: listGlobalMcpServers() }));
+      return;
+    }
+
+    if (routePath === '/api/mcp-servers' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = validateMcpServers(body.servers);
+      if (error) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error })); return; }
+      const servers = saveGlobalMcpServers(body.servers);
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ session: latestSession, events }));
+      res.end(JSON.stringify({ servers }));
       return;
     }
 
     if (routePath === '/api/agents' && req.method === 'GET') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ agents: discoveredAgents }));
+      res.end(JSON.stringify({ agents: listAgents() }));
+      return;
+    }
+
+    // Agents are commands the server runs, so only admins may change the registry
+    if ((routePath === '/api/agents' || routePath.startsWith('/api/agents/')) && user && user.role !== 'admin') {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Only admins can manage agents' }));
+      return;
+    }
+
+    if (routePath === '/api/agents' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const error = validateAgent(body);
+      if (error) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error })); return; }
+      const agent = saveAgent(body);
+      broadcastSync({ type: 'agents_updated', agents: listAgents() }, null);
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ agent }));
+      return;
+    }
+
+    if (routePath === '/api/agents/discover' && req.method === 'POST') {
+      const agents = discoverAgents();
+      broadcastSync({ type: 'agents_updated', agents }, null);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ agents }));
+      return;
+    }
+
+    const agentMatch = routePath.match(/^\/api\/agents\/([^/]+)$/);
+    if (agentMatch && req.method === 'DELETE') {
+      if (!removeAgent(agentMatch[1])) { res.writeHead(404, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Only agents added to agents.json can be removed' })); return; }
+      broadcastSync({ type: 'agents_updated', agents: listAgents() }, null);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ agents: listAgents() }));
+      return;
+    }
+
+    // Captures are stored with the conversation's uploads so they can be previewed, downloaded and attached
+    if (routePath === '/api/screenshot' && req.method === 'POST') {
+      const body = await parseBody(req);
+      if (!body.conversationId) { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'conversationId is required' })); return; }
+      if (!requireAccess(res, body.conversationId, user, 'write')) return;
+      try {
+        const name = await captureScreenshot(uploadDir(body.conversationId), body.format);
+        const file = listUploads(body.conversationId).find(f => f.name === name);
+        queries.createEvent('screenshot.captured', { name }, body.conversationId);
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ file, url: `${BASE_URL}/api/conversations/${body.conversationId}/uploads/${encodeURIComponent(name)}` }));
+      } catch (err) {
+        res.writeHead(err.status || 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: err.message }));
+      }
       return;
     }
 
     if (routePath === '/api/home' && req.method === 'GET') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ home: process.env.HOME || '/config' }));
+      res.end(JSON.stringify({ home: process.env.HOME || '/config', roots: workspaceRoots() }));
       return;
     }
 
     if (routePath === '/api/folders' && req.method === 'POST') {
       const body = await parseBody(req);
-      const folderPath = body.path || '/config';
+      const folderPath = body.path || workspaceRoots()[0];
+      const resolvedPath = resolveWorkspacePath(folderPath);
+      if (!resolvedPath) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: OUTSIDE_WORKSPACE_ERROR, path: folderPath }));
+        return;
+      }
       try {
-        const expandedPath = folderPath.startsWith('~') ?
-          folderPath.replace('~', process.env.HOME || '/config') : folderPath;
-        const entries = fs.readdirSync(expandedPath, { withFileTypes: true });
+        const entries = fs.readdirSync(resolvedPath, { withFileTypes: true });
         const folders = entries
-          .filter(e => e.isDirectory())
+          .filter(e => e.isDirectory() && resolveWorkspacePath(path.join(resolvedPath, e.name)))
           .map(e => ({ name: e.name }))
           .sort((a, b) => a.name.localeCompare(b.name));
         res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -223,20 +955,22 @@ const server = http.createServer(async (req, res) => {
 
     if (routePath.startsWith('/api/image/')) {
       const imagePath = routePath.slice('/api/image/'.length);
-      const decodedPath = decodeURIComponent(imagePath);
-      const expandedPath = decodedPath.startsWith('~') ?
-        decodedPath.replace('~', process.env.HOME || '/config') : decodedPath;
-      const normalizedPath = path.normalize(expandedPath);
-      if (!normalizedPath.startsWith('/') || normalizedPath.includes('..')) {
-        res.writeHead(403); res.end('Forbidden'); return;
+      const decodedPath = decodeSegment(imagePath);
+      const normalizedPath = resolveWorkspacePath(decodedPath);
+      if (!normalizedPath) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: OUTSIDE_WORKSPACE_ERROR, path: decodedPath }));
+        return;
       }
       try {
-        if (!fs.existsSync(normalizedPath)) { res.writeHead(404); res.end('Not found'); return; }
         const ext = path.extname(normalizedPath).toLowerCase();
         const mimeTypes = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml' };
-        const contentType = mimeTypes[ext] || 'application/octet-stream';
+        const contentType = mimeTypes[ext];
+        if (!contentType) { res.writeHead(415, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Only image files can be served', path: decodedPath })); return; }
+        if (!fs.existsSync(normalizedPath)) { res.writeHead(404); res.end('Not found'); return; }
         const fileContent = fs.readFileSync(normalizedPath);
-        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'public, max-age=3600' });
+        // SVG can carry scripts, so the image is sandboxed if it is opened directly
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'private, max-age=3600', 'X-Content-Type-Options': 'nosniff', 'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox" });
         res.end(fileContent);
       } catch (err) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
@@ -264,11 +998,42 @@ const server = http.createServer(async (req, res) => {
     });
   } catch (e) {
     console.error('Server error:', e.message);
-    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.writeHead(e.status || 500, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: e.message }));
   }
 });
 
+// With auth disabled there is no user and every conversation is fully accessible
+function conversationAccess(conversationId, user) {
+  if (!user) return queries.getConversation(conversationId) ? 'owner' : null;
+  return queries.getConversationAccess(conversationId, user.id);
+}
+
+// MCP server config can carry credentials in env vars and headers, so only the owner is sent it
+function visibleConversation(conversation, user) {
+  return !conversation || !user || conversation.ownerId === user.id ? conversation : withoutMcpServers(conversation);
+}
+
+function withoutMcpServers({ mcpServers, ...conversation }) {
+  return conversation;
+}
+
+// Conversations the user can't see answer 404 so their existence isn't revealed
+function requireAccess(res, conversationId, user, level) {
+  const access = conversationAccess(conversationId, user);
+  if (!access) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return false;
+  }
+  if (ACCESS_LEVELS.indexOf(access) < ACCESS_LEVELS.indexOf(level)) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: level === 'owner' ? 'Only the owner can do this' : 'This conversation is shared read-only' }));
+    return false;
+  }
+  return true;
+}
+
 function serveFile(filePath, res) {
   const ext = path.extname(filePath).toLowerCase();
   const mimeTypes = { '.html': 'text/html; charset=utf-8', '.js': 'application/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8', '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg', '.svg': 'image/svg+xml' };
@@ -279,7 +1044,7 @@ function serveFile(filePath, res) {
       const baseTag = `<script>window.__BASE_URL='${BASE_URL}'; window.__AUTH_TOKEN=localStorage.getItem('gmgui-token');</script>`;
       content = content.replace('<head>', '<head>\n  ' + baseTag);
       if (watch) {
-        content += `\n<script>(function(){const ws=new WebSocket('ws://'+location.host+'${BASE_URL}/hot-reload');ws.onmessage=e=>{if(JSON.parse(e.data).type==='reload')location.reload()};})();</script>`;
+        content += `\n<script>(function(){const ws=new WebSocket('ws://'+location.host+'${BASE_URL}/hot-reload?token='+encodeURIComponent(localStorage.getItem('gmgui-token')||''));ws.onmessage=e=>{if(JSON.parse(e.data).type==='reload')location.reload()};})();</script>`;
       }
     }
     res.writeHead(200, { 'Content-Type': mimeTypes[ext] || 'application/octet-stream' });
@@ -287,53 +1052,251 @@ function serveFile(filePath, res) {
   });
 }
 
+function requestPermission(params, { conversationId, sessionId, cwd, stream, emit }) {
+  const id = `perm-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  // The request may only carry the toolCallId, so fill in what the earlier tool_call update reported
+  const known = stream.blocks.find(b => b.type === 'tool_call' && b.id === params?.toolCall?.toolCallId) || {};
+  const toolCall = { title: known.title, kind: known.kind, locations: known.locations, rawInput: known.rawInput, ...params?.toolCall };
+  const block = {
+    type: 'permission',
+    id,
+    title: toolCall.title || toolCall.kind || 'Tool call',
+    kind: toolCall.kind,
+    rawInput: toolCall.rawInput,
+    options: params?.options || [],
+    outcome: null,
+    expires_at: Date.now() + PERMISSION_TIMEOUT,
+  };
+  // A broken rule must not leave the agent's request unanswered, so it falls back to asking
+  let policy;
+  try {
+    policy = evaluatePolicy(toolCall, { cwd, conversationPolicy: queries.getConversation(conversationId)?.policy });
+  } catch (e) {
+    console.error('Policy evaluation failed:', e.message);
+    policy = { action: 'prompt', source: 'error', rule: null, ruleIndex: null, error: e.message };
+  }
+  stream.blocks.push(block);
+  queries.createEvent('permission.requested', { permissionId: id, toolCall, options: block.options, policy }, conversationId, sessionId);
+  emit(block);
+
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(() => {
+      resolvePermission(id, findOption(block.options, 'reject')?.optionId, 'timeout');
+    }, PERMISSION_TIMEOUT);
+    pendingPermissions.set(id, { resolve, timeoutId, conversationId, sessionId, block, emit });
+    if (policy.action !== 'prompt') {
+      const option = findOption(block.options, policy.action === 'allow' ? 'allow' : 'reject');
+      resolvePermission(id, option?.optionId, 'policy', { rule: policy.rule, ruleSource: policy.source, ruleIndex: policy.ruleIndex });
+    }
+  });
+}
+
+function findOption(options, prefix) {
+  return options.find(o => o.kind === `${prefix}_once`) || options.find(o => o.kind?.startsWith(prefix));
+}
+
+function resolvePermission(id, optionId, source, details = {}) {
+  const pending = pendingPermissions.get(id);
+  if (!pending) return false;
+  pendingPermissions.delete(id);
+  clearTimeout(pending.timeoutId);
+  const option = pending.block.options.find(o => o.optionId === optionId);
+  const outcome = { optionId: option?.optionId || null, name: option?.name || 'Cancelled', kind: option?.kind || null, source };
+  pending.block.outcome = outcome;
+  queries.createEvent('permission.resolved', { permissionId: id, ...outcome, ...details }, pending.conversationId, pending.sessionId);
+  pending.emit({ type: 'permission_update', id, outcome });
+  pending.resolve(option ? { outcome: 'selected', optionId: option.optionId } : { outcome: 'cancelled' });
+  return true;
+}
+
+function enqueuePrompt(conversationId, entry) {
+  if (!promptQueues.has(conversationId)) promptQueues.set(conversationId, { running: null, pending: [] });
+  promptQueues.get(conversationId).pending.push(entry);
+  broadcastQueue(conversationId);
+  drainQueue(conversationId);
+}
+
+function dequeuePrompt(conversationId, messageId) {
+  const queue = promptQueues.get(conversationId);
+  if (!queue) return;
+  queue.pending = queue.pending.filter(e => e.messageId !== messageId);
+  broadcastQueue(conversationId);
+}
+
+function queuePosition(conversationId, messageId) {
+  const pending = promptQueues.get(conversationId)?.pending || [];
+  const index = pending.findIndex(e => e.messageId === messageId);
+  return index > -1 ? index + 1 : 0;
+}
+
+function broadcastQueue(conversationId) {
+  const queue = promptQueues.get(conversationId);
+  broadcastSync({
+    type: 'queue_updated',
+    conversationId,
+    running: queue?.running?.messageId || null,
+    queue: queue ? queue.pending.map(e => e.messageId) : [],
+  });
+}
+
+async function drainQueue(conversationId) {
+  const queue = promptQueues.get(conversationId);
+  // Once shutdown starts nothing new is dispatched; waiting prompts stay queued for the next start
+  if (!queue || queue.running || shuttingDown) return;
+  const entry = queue.pending.shift();
+  if (!entry) {
+    promptQueues.delete(conversationId);
+    return;
+  }
+  // Read the message at dequeue time so edits made while it waited are what gets sent
+  const message = queries.markMessageSent(entry.messageId);
+  if (!message) {
+    drainQueue(conversationId);
+    return;
+  }
+  queue.running = entry;
+  broadcastQueue(conversationId);
+  broadcastSync({ type: 'message_updated', conversationId, message });
+  try {
+    await processMessage(conversationId, entry.messageId, entry.sessionId, message.content, entry.agentId, entry.folderContext);
+  } finally {
+    queue.running = null;
+    drainQueue(conversationId);
+  }
+}
+
+function cancelSession(sessionId, stream) {
+  if (stream.cancelled) return;
+  stream.cancelled = true;
+  // ACP requires outstanding permission requests to be answered as cancelled
+  for (const [id, pending] of pendingPermissions) {
+    if (pending.sessionId === sessionId) resolvePermission(id, null, 'cancelled');
+  }
+  stream.conn?.cancel();
+  setTimeout(() => stream.finish?.({ stopReason: 'cancelled' }), CANCEL_GRACE_MS);
+  queries.updateSession(sessionId, { status: 'cancelled' });
+  // processMessage broadcasts the cancelled session_updated once the prompt settles
+  queries.createEvent('session.cancelled', { sessionId }, stream.conversationId, sessionId);
+}
+
+// ACP reports pending/in_progress/completed/failed; the client only distinguishes running from finished
+function toolStatus(status) {
+  return status === 'completed' || status === 'failed' ? status : 'running';
+}
+
 async function processMessage(conversationId, messageId, sessionId, content, agentId, folderContext) {
   try {
     queries.updateSession(sessionId, { status: 'processing' });
     queries.createEvent('session.processing', { sessionId }, conversationId, sessionId);
-    broadcastSync({ type: 'session_updated', sessionId, status: 'processing' });
+    broadcastSync({ type: 'session_updated', conversationId, sessionId, status: 'processing' });
+
+    const stream = { conversationId, seq: 0, text: '', blocks: [], chunks: [], cancelled: false, conn: null, finish: null };
+    activeStreams.set(sessionId, stream);
+
+    const conversation = queries.getConversation(conversationId);
+    const cwd = conversationCwd(conversation, folderContext);
+    const conn = await getACP(conversationId, agentId || conversation?.agentId || 'claude-code', cwd);
+    stream.conn = conn;
 
-    const cwd = folderContext?.path || '/config';
-    const conn = await getACP(agentId || 'claude-code', cwd);
+    let prompt = promptBlocks(conversationId, content, conn);
+    if (queries.getConversation(conversationId)?.reseedPending) {
+      prompt = [{ type: 'text', text: buildHistorySummary(conversationId, messageId) }, ...prompt];
+      queries.updateConversation(conversationId, { reseedPending: false });
+      queries.createEvent('conversation.reseeded', { acpSessionId: conn.sessionId }, conversationId, sessionId);
+    }
+
+    // Chunks are kept in emit order so a reconnecting client can replay interleaved text and blocks
+    const emit = (chunk) => {
+      stream.chunks.push(chunk);
+      broadcastSync({ type: 'session_chunk', conversationId, sessionId, seq: stream.seq++, chunk });
+    };
 
-    let fullText = '';
-    const blocks = [];
+    conn.onPermissionRequest = (params) => requestPermission(params, { conversationId, sessionId, cwd, stream, emit });
     conn.onUpdate = (params) => {
       const u = params.update;
       if (!u) return;
       const kind = u.sessionUpdate;
       if (kind === 'agent_message_chunk' && u.content?.text) {
-        fullText += u.content.text;
+        stream.text += u.content.text;
+        emit({ type: 'text', text: u.content.text });
       } else if (kind === 'html_content' && u.content?.html) {
-        blocks.push({ type: 'html', html: u.content.html, title: u.content.title, id: u.content.id });
+        const block = { type: 'html', html: u.content.html, title: u.content.title, id: u.content.id };
+        stream.blocks.push(block);
+        emit(block);
       } else if (kind === 'image_content' && u.content?.path) {
         const imageUrl = BASE_URL + '/api/image/' + encodeURIComponent(u.content.path);
-        blocks.push({ type: 'image', path: u.content.path, url: imageUrl, title: u.content.title, alt: u.content.alt });
+        const block = { type: 'image', path: u.content.path, url: imageUrl, title: u.content.title, alt: u.content.alt };
+        stream.blocks.push(block);
+        emit(block);
+      } else if (kind === 'agent_thought_chunk' && u.content?.text) {
+        const last = stream.blocks[stream.blocks.length - 1];
+        if (last?.type === 'thought') last.text += u.content.text;
+        else stream.blocks.push({ type: 'thought', text: u.content.text });
+        emit({ type: 'thought', text: u.content.text });
+      } else if (kind === 'plan' && Array.isArray(u.entries)) {
+        const block = { type: 'plan', entries: u.entries };
+        const i = stream.blocks.findIndex(b => b.type === 'plan');
+        if (i > -1) stream.blocks[i] = block;
+        else stream.blocks.push(block);
+        emit(block);
+      } else if (kind === 'tool_call' && u.toolCallId) {
+        const block = { type: 'tool_call', id: u.toolCallId, title: u.title, kind: u.kind, status: toolStatus(u.status), content: u.content || [], locations: u.locations || [], rawInput: u.rawInput };
+        stream.blocks.push(block);
+        emit(block);
+      } else if (kind === 'tool_call_update' && u.toolCallId) {
+        const update = { id: u.toolCallId };
+        if (u.status) update.status = toolStatus(u.status);
+        if (u.title) update.title = u.title;
+        if (u.content) update.content = u.content;
+        if (u.locations) update.locations = u.locations;
+        if (u.rawInput) update.rawInput = u.rawInput;
+        const block = stream.blocks.find(b => b.type === 'tool_call' && b.id === u.toolCallId);
+        if (block) Object.assign(block, update);
+        emit({ type: 'tool_call_update', ...update });
       }
     };
 
-    const result = await conn.sendPrompt(content);
+    const result = stream.cancelled ? { stopReason: 'cancelled' } : await Promise.race([
+      conn.sendPrompt(prompt),
+      new Promise(resolve => { stream.finish = resolve; }),
+    ]);
     conn.onUpdate = null;
+    conn.onPermissionRequest = null;
 
-    const responseText = fullText || (result?.stopReason ? `Completed: ${result.stopReason}` : 'No response.');
-    const messageContent = blocks.length > 0 ? { text: responseText, blocks } : responseText;
+    const status = stream.cancelled ? 'cancelled' : 'completed';
+    const responseText = stream.text || (stream.cancelled ? 'Cancelled.' : result?.stopReason ? `Completed: ${result.stopReason}` : 'No response.');
+    const messageContent = stream.blocks.length > 0 ? { text: responseText, blocks: stream.blocks } : responseText;
 
     const assistantMessage = queries.createMessage(conversationId, 'assistant', messageContent);
-    queries.updateSession(sessionId, { status: 'completed', response: { text: responseText, messageId: assistantMessage.id }, completed_at: Date.now() });
-    queries.createEvent('session.completed', { messageId: assistantMessage.id }, conversationId, sessionId);
+    queries.updateSession(sessionId, { status, response: { text: responseText, messageId: assistantMessage.id, stopReason: result?.stopReason }, completed_at: Date.now() });
+    queries.createEvent('session.completed', { messageId: assistantMessage.id, stopReason: result?.stopReason }, conversationId, sessionId);
 
-    broadcastSync({ type: 'session_updated', sessionId, status: 'completed', message: assistantMessage });
+    broadcastSync({ type: 'session_updated', conversationId, sessionId, status, message: assistantMessage });
   } catch (e) {
     console.error('processMessage error:', e.message);
-    queries.createMessage(conversationId, 'assistant', `Error: ${e.message}`);
-    queries.updateSession(sessionId, { status: 'error', error: e.message, completed_at: Date.now() });
-    queries.createEvent('session.error', { error: e.message }, conversationId, sessionId);
-    broadcastSync({ type: 'session_updated', sessionId, status: 'error', error: e.message });
-    acpPool.delete(agentId || 'claude-code');
+    const error = shuttingDown ? INTERRUPTED_ERROR : e.message;
+    const errorMessage = queries.createMessage(conversationId, 'assistant', `Error: ${error}`);
+    queries.updateSession(sessionId, { status: 'error', error, completed_at: Date.now() });
+    queries.createEvent('session.error', { error }, conversationId, sessionId);
+    broadcastSync({ type: 'session_updated', conversationId, sessionId, status: 'error', error, message: errorMessage });
+    await releaseACP(conversationId);
+  } finally {
+    activeStreams.delete(sessionId);
+    for (const [id, pending] of pendingPermissions) {
+      if (pending.sessionId === sessionId) resolvePermission(id, null, 'cancelled');
+    }
   }
 }
 
-const wss = new WebSocketServer({ server });
+// Upgrades from other origins or without a valid token are refused before a socket is created
+const wss = new WebSocketServer({
+  server,
+  verifyClient: ({ req }, done) => {
+    if (!isOriginAllowed(req)) return done(false, 403, 'Origin not allowed');
+    req.auth = authenticate(req);
+    done(!!req.auth, 401, 'Unauthorized');
+  },
+});
 const hotReloadClients = [];
 const syncClients = new Set();
 
@@ -344,6 +1307,7 @@ wss.on('connection', (ws, req) => {
     hotReloadClients.push(ws);
     ws.on('close', () => { const i = hotReloadClients.indexOf(ws); if (i > -1) hotReloadClients.splice(i, 1); });
   } else if (wsPath === '/sync') {
+    ws.user = req.auth?.user || null;
     syncClients.add(ws);
     ws.isAlive = true;
     ws.send(JSON.stringify({ type: 'sync_connected' }));
@@ -352,13 +1316,27 @@ wss.on('connection', (ws, req) => {
   }
 });
 
-function broadcastSync(event) {
+// Events about a conversation only reach sockets whose user can see it; pass viewers when
+// the conversation or share is already gone
+function broadcastSync(event, viewers) {
+  const conversationId = event.conversationId || event.conversation?.id;
+  const audience = viewers !== undefined ? viewers : conversationId ? queries.getConversationViewers(conversationId) : null;
   const data = JSON.stringify(event);
+  const redacted = event.conversation?.mcpServers && JSON.stringify({ ...event, conversation: withoutMcpServers(event.conversation) });
   for (const ws of syncClients) {
-    if (ws.readyState === 1) ws.send(data);
+    if (ws.readyState !== 1) continue;
+    if (audience && ws.user && !audience.has(ws.user.id)) continue;
+    ws.send(redacted && ws.user && ws.user.id !== event.conversation.ownerId ? redacted : data);
   }
 }
 
+const acpIdleInterval = setInterval(() => {
+  const busy = new Set([...activeStreams.values()].map(s => s.conversationId));
+  for (const [conversationId, conn] of acpPool) {
+    if (!busy.has(conversationId) && Date.now() - conn.lastUsed > ACP_IDLE_TIMEOUT) releaseACP(conversationId);
+  }
+}, 60000);
+
 // Heartbeat interval to detect stale connections
 const heartbeatInterval = setInterval(() => {
   syncClients.forEach(ws => {
@@ -386,6 +1364,7 @@ if (watch) {
 }
 
 process.on('SIGTERM', async () => {
+  shuttingDown = true;
   for (const conn of acpPool.values()) await conn.terminate();
   acpPool.clear();
   wss.close(() => server.close(() => process.exit(0)));
@@ -403,9 +1382,23 @@ server.on('error', (err) => {
   }
 });
 
+// Prompts that were running when the previous process stopped are marked interrupted; prompts
+// still waiting in the queue are picked up again in their original order
+queries.interruptUnfinishedSessions(INTERRUPTED_ERROR);
+for (const message of queries.getQueuedMessages()) {
+  enqueuePrompt(message.conversationId, { messageId: message.id, sessionId: message.sessionId, agentId: null, folderContext: null });
+}
+
+const admin = AUTH_DISABLED ? null : ensureAdminUser();
+const defaultToken = AUTH_DISABLED ? null : ensureDefaultToken(admin.user.id);
+
 function onServerReady() {
   console.log(`GMGUI running on http://localhost:${PORT}${BASE_URL}/`);
-  console.log(`Agents: ${discoveredAgents.map(a => a.name).join(', ') || 'none'}`);
+  if (AUTH_DISABLED) console.log('Auth: disabled (AUTH=off)');
+  else if (defaultToken) console.log(`Auth token: ${defaultToken.token}\nOpen http://localhost:${PORT}${BASE_URL}/?token=${defaultToken.token} to sign in`);
+  else console.log('Auth: token required (gmgui token list)');
+  if (admin?.password) console.log(`Admin account created: admin / ${admin.password} (change it with gmgui user passwd admin)`);
+  console.log(`Agents: ${listAgents().filter(a => a.available).map(a => a.name).join(', ') || 'none'}`);
   console.log(`Hot reload: ${watch ? 'on' : 'off'}`);
 }
 
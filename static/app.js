@@ -1,4 +1,69 @@
 const BASE_URL = window.__BASE_URL || '';
+const ACTIVITY_BLOCK_TYPES = ['thought', 'plan', 'tool_call', 'permission'];
+const TOKEN_KEY = 'gmgui-token';
+// Pasted or dropped files within these sizes travel inline with the prompt; larger ones are uploaded
+const INLINE_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const INLINE_TEXT_MAX_BYTES = 256 * 1024;
+// Slash commands gmgui runs itself; they win over agent commands with the same name
+const LOCAL_COMMANDS = [
+  { name: 'clear', description: 'Delete the messages and start the agent with an empty context' },
+  { name: 'title', description: 'Rename this chat', input: { hint: 'new title' } },
+  { name: 'mode', description: 'Switch the agent mode, or list the modes', input: { hint: 'mode' } },
+  { name: 'export', description: 'Download this chat as md (default), json or html', input: { hint: 'md|json|html' } },
+];
+const THEME_VARIABLES = ['--color-primary', '--color-success', '--color-warning', '--color-danger', '--color-info',
+  '--bg-primary', '--bg-secondary', '--bg-tertiary', '--text-primary', '--text-secondary', '--text-tertiary', '--border-color'];
+
+// Runs inside every HTML frame: reports its height to the app and applies theme changes
+const HTML_FRAME_SCRIPT = `(() => {
+  const post = () => parent.postMessage({ type: 'gmgui-html-height', height: document.documentElement.scrollHeight }, '*');
+  addEventListener('load', post);
+  new ResizeObserver(post).observe(document.documentElement);
+  addEventListener('message', (e) => {
+    if (e.source !== parent || e.data?.type !== 'gmgui-theme') return;
+    for (const [name, value] of Object.entries(e.data.variables)) document.documentElement.style.setProperty(name, value);
+  });
+})();`;
+
+// The ?token= link printed at server startup signs this browser in, then is dropped from the address bar
+const urlToken = new URLSearchParams(location.search).get('token');
+if (urlToken) {
+  localStorage.setItem(TOKEN_KEY, urlToken);
+  history.replaceState(null, '', location.pathname);
+}
+
+function authToken() {
+  return localStorage.getItem(TOKEN_KEY) || '';
+}
+
+// For requests that can't carry an Authorization header (WebSocket upgrades, <img src>)
+function withToken(url) {
+  return url + (url.includes('?') ? '&' : '?') + 'token=' + encodeURIComponent(authToken());
+}
+
+// Issued by /api/auth and required on every state-changing request
+let csrfToken = '';
+
+async function refreshCsrfToken() {
+  const res = await fetch(BASE_URL + '/api/auth', { headers: { Authorization: `Bearer ${authToken()}` } });
+  if (res.ok) csrfToken = (await res.json()).csrfToken || '';
+}
+
+async function apiFetch(url, options = {}, retried = false) {
+  const headers = { ...options.headers, Authorization: `Bearer ${authToken()}` };
+  if (options.method && options.method !== 'GET') headers['X-CSRF-Token'] = csrfToken;
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401) showLoginScreen();
+  // The server derives CSRF tokens from a per-process secret, so fetch a fresh one after a restart
+  if (res.status === 403 && !retried && res.headers.get('Content-Type')?.includes('json')) {
+    const body = await res.clone().json();
+    if (body.code === 'csrf_invalid') {
+      await refreshCsrfToken();
+      return apiFetch(url, options, true);
+    }
+  }
+  return res;
+}
 
 // Auto-reconnecting WebSocket wrapper
 class ReconnectingWebSocket {
@@ -84,18 +149,31 @@ class GMGUIApp {
     this.conversations = new Map();
     this.currentConversation = null;
     this.activeStream = null;
-    this.pollingInterval = null;
     this.syncWs = null;
     this.broadcastChannel = null;
-    this.settings = { autoScroll: true, connectTimeout: 30000 };
+    this.settings = { autoScroll: true, connectTimeout: 30000, screenshotFormat: 'png' };
     this.pendingMessages = new Map();
     this.idempotencyKeys = new Map();
+    this.activeSessions = new Map();
+    this.queues = new Map();
+    this.pendingAttachments = new Map();
+    this.pendingBlocks = new Map();
+    this.mention = null;
+    this.slash = null;
+    this.searchTimer = null;
+    this.pickedMentions = new Set();
+    this.screenshot = null;
+    this.user = null;
+    this.shareDialogConversation = null;
+    this.mcpDialog = null;
+    this.workspaceRoots = [];
     this.init();
   }
 
   async init() {
     this.loadSettings();
     this.setupEventListeners();
+    if (!(await this.checkAuth())) return;
     await this.fetchHome();
     await this.fetchAgents();
     await this.fetchConversations();
@@ -104,15 +182,37 @@ class GMGUIApp {
     this.renderAll();
   }
 
+  async checkAuth() {
+    try {
+      const res = await apiFetch(BASE_URL + '/api/auth');
+      if (res.status === 401) return false;
+      const data = await res.json();
+      this.user = data.user;
+      csrfToken = data.csrfToken || '';
+      const label = document.getElementById('signedInAs');
+      if (label) label.textContent = this.user ? `Signed in as ${this.user.username} (${this.user.role})` : 'Authentication is disabled';
+      return true;
+    } catch (e) {
+      console.error('checkAuth:', e);
+      return true;
+    }
+  }
+
   connectSyncWebSocket() {
     const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
     this.syncWs = new ReconnectingWebSocket(
-      `${proto}//${location.host}${BASE_URL}/sync`
+      withToken(`${proto}//${location.host}${BASE_URL}/sync`)
     );
 
+    let connectedBefore = false;
     this.syncWs.on('open', () => {
       console.log('Sync WebSocket connected');
       this.updateConnectionStatus('connected');
+      // Chunks broadcast while disconnected are lost, so re-render from the server
+      if (connectedBefore && this.currentConversation) {
+        this.displayConversation(this.currentConversation);
+      }
+      connectedBefore = true;
     });
 
     this.syncWs.on('message', (e) => {
@@ -161,46 +261,108 @@ class GMGUIApp {
         }
         break;
 
-      case 'conversation_updated':
-        this.conversations.set(event.conversation.id, event.conversation);
+      case 'conversation_updated': {
+        // Sync events carry the bare conversation, so keep the access level this user was given
+        const previous = this.conversations.get(event.conversation.id);
+        this.conversations.set(event.conversation.id, { access: previous?.access, ...event.conversation });
         this.renderChatHistory();
-        if (this.currentConversation?.id === event.conversation.id) {
-          this.currentConversation = event.conversation;
-          this.renderCurrentConversation();
+        if (this.currentConversation === event.conversation.id) {
+          // HTML frames pick their sandbox when rendered, so a trust change needs a redraw
+          if (!!previous?.trusted !== !!event.conversation.trusted) this.displayConversation(event.conversation.id);
+          else this.renderContextBanner();
+          this.updateMcpButton();
+          this.renderSessionControls();
+          this.renderMcpDialog();
         }
         if (!fromBroadcast && this.broadcastChannel) {
           this.broadcastChannel.postMessage(event);
         }
         break;
+      }
+
+      case 'conversation_cleared':
+        if (this.currentConversation === event.conversationId) this.displayConversation(event.conversationId);
+        break;
 
       case 'conversation_deleted':
-        this.conversations.delete(event.conversationId);
-        this.renderChatHistory();
-        if (this.currentConversation?.id === event.conversationId) {
-          this.currentConversation = null;
-          this.renderCurrentConversation();
+        this.removeConversation(event.conversationId);
+        if (!fromBroadcast && this.broadcastChannel) {
+          this.broadcastChannel.postMessage(event);
+        }
+        break;
+
+      case 'conversation_shared':
+        if (this.user && event.userId === this.user.id) {
+          if (event.access) {
+            this.conversations.set(event.conversationId, { ...event.conversation, access: event.access });
+            this.renderChatHistory();
+            if (this.currentConversation === event.conversationId) this.updateInputAccess();
+          } else {
+            this.removeConversation(event.conversationId);
+          }
         }
+        if (this.shareDialogConversation === event.conversationId) this.loadShares();
         if (!fromBroadcast && this.broadcastChannel) {
           this.broadcastChannel.postMessage(event);
         }
         break;
 
       case 'message_created':
+        if (this.currentConversation === event.conversationId) {
+          const pending = event.idempotencyKey && document.querySelector(`[data-idempotency-key="${event.idempotencyKey}"]`);
+          if (pending) pending.dataset.messageId = event.message.id;
+          else if (!document.querySelector(`[data-message-id="${event.message.id}"]`)) this.addMessageToDisplay(event.message);
+        }
         if (!fromBroadcast && this.broadcastChannel) {
           this.broadcastChannel.postMessage(event);
         }
         break;
 
-      case 'session_updated':
-        if (event.status === 'completed' && event.message) {
-          if (this.currentConversation === event.conversationId) {
-            this.addMessageToDisplay(event.message);
-            if (this.settings.autoScroll) {
-              const div = document.getElementById('chatMessages');
-              if (div) div.scrollTop = div.scrollHeight;
+      case 'message_updated':
+        if (this.currentConversation === event.conversationId) {
+          const existing = document.querySelector(`[data-message-id="${event.message.id}"]`);
+          if (existing && !existing.querySelector('.queue-editor')) {
+            const el = this.createMessageElement(event.message);
+            // A prompt leaving the queue moves below the replies that finished while it waited
+            if (event.message.status === 'sent') {
+              existing.remove();
+              document.getElementById('chatMessages')?.appendChild(el);
+            } else {
+              existing.replaceWith(el);
             }
+            this.renderQueue();
           }
         }
+        break;
+
+      case 'message_deleted':
+        document.querySelector(`[data-message-id="${event.messageId}"]`)?.remove();
+        break;
+
+      case 'agents_updated':
+        this.setAgents(event.agents);
+        this.renderAgentCards();
+        this.renderAgentSettings();
+        break;
+
+      case 'queue_updated':
+        this.queues.set(event.conversationId, event.queue);
+        if (this.currentConversation === event.conversationId) this.renderQueue();
+        break;
+
+      case 'session_chunk':
+        if (this.currentConversation === event.conversationId) {
+          this.appendStreamChunk(event.sessionId, event.seq, event.chunk);
+        }
+        break;
+
+      case 'session_updated':
+        this.trackSession(event.conversationId, event.sessionId, event.status);
+        if (event.message && this.currentConversation === event.conversationId) {
+          this.finishStream(event.sessionId, event.message);
+        } else if (event.status === 'cancelled') {
+          document.querySelector(`[data-session-id="${event.sessionId}"] .stream-container`)?.classList.add('done');
+        }
         if (!fromBroadcast && this.broadcastChannel) {
           this.broadcastChannel.postMessage(event);
         }
@@ -223,10 +385,11 @@ class GMGUIApp {
 
   async fetchHome() {
     try {
-      const res = await fetch(BASE_URL + '/api/home');
+      const res = await apiFetch(BASE_URL + '/api/home');
       if (res.ok) {
         const data = await res.json();
         localStorage.setItem('gmgui-home', data.home);
+        this.workspaceRoots = data.roots || [];
       }
     } catch (e) {
       console.error('fetchHome:', e);
@@ -250,6 +413,8 @@ class GMGUIApp {
     if (el) el.checked = this.settings.autoScroll;
     const t = document.getElementById('connectTimeout');
     if (t) t.value = this.settings.connectTimeout / 1000;
+    const f = document.getElementById('screenshotFormat');
+    if (f) f.value = this.settings.screenshotFormat;
   }
 
   expandHome(p) {
@@ -259,15 +424,58 @@ class GMGUIApp {
   }
 
   setupEventListeners() {
+    const search = document.getElementById('searchInput');
+    if (search) {
+      search.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.searchConversations(search.value), 200);
+      });
+      search.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        search.value = '';
+        this.searchConversations('');
+      });
+    }
+
     const input = document.getElementById('messageInput');
     if (input) {
       input.addEventListener('keydown', (e) => {
+        if (this.handleSlashKey(e) || this.handleMentionKey(e)) return;
         if (e.key === 'Enter' && !e.shiftKey) {
           e.preventDefault();
           this.sendMessage();
         }
       });
-      input.addEventListener('input', () => this.updateSendButtonState());
+      input.addEventListener('input', () => {
+        this.updateSendButtonState();
+        this.updateMention();
+        this.updateSlash();
+      });
+      input.addEventListener('blur', () => setTimeout(() => {
+        this.closeMention();
+        this.closeSlash();
+      }, 150));
+      input.addEventListener('paste', (e) => {
+        const files = Array.from(e.clipboardData?.files || []);
+        if (files.length === 0) return;
+        e.preventDefault();
+        this.addFiles(files);
+      });
+    }
+    const dropZone = document.querySelector('.chat-input-section');
+    if (dropZone) {
+      dropZone.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+      });
+      dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+      dropZone.addEventListener('drop', (e) => {
+        dropZone.classList.remove('drag-over');
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        this.addFiles(Array.from(e.dataTransfer.files));
+      });
     }
     document.getElementById('autoScroll')?.addEventListener('change', (e) => {
       this.settings.autoScroll = e.target.checked;
@@ -277,23 +485,43 @@ class GMGUIApp {
       this.settings.connectTimeout = parseInt(e.target.value) * 1000;
       this.saveSettings();
     });
+    document.getElementById('screenshotFormat')?.addEventListener('change', (e) => {
+      this.settings.screenshotFormat = e.target.value;
+      this.saveSettings();
+    });
+    window.addEventListener('message', (e) => {
+      if (e.data?.type !== 'gmgui-html-height') return;
+      const frame = [...document.querySelectorAll('.html-frame')].find(f => f.contentWindow === e.source);
+      if (frame) frame.style.height = `${Math.ceil(e.data.height)}px`;
+    });
+    new MutationObserver(() => {
+      const message = { type: 'gmgui-theme', variables: this.themeVariables() };
+      document.querySelectorAll('.html-frame').forEach(f => f.contentWindow?.postMessage(message, '*'));
+    }).observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
   }
 
   async fetchAgents() {
     try {
-      const res = await fetch(BASE_URL + '/api/agents');
+      const res = await apiFetch(BASE_URL + '/api/agents');
       const data = await res.json();
-      if (data.agents) {
-        data.agents.forEach(a => this.agents.set(a.id, a));
-      }
+      if (data.agents) this.setAgents(data.agents);
     } catch (e) {
       console.error('fetchAgents:', e);
     }
   }
 
+  setAgents(agents) {
+    this.agents = new Map(agents.map(a => [a.id, a]));
+  }
+
+  // Configured agents whose command was found on the server
+  availableAgents() {
+    return [...this.agents.values()].filter(a => a.available !== false);
+  }
+
   async fetchConversations() {
     try {
-      const res = await fetch(BASE_URL + '/api/conversations');
+      const res = await apiFetch(BASE_URL + '/api/conversations');
       const data = await res.json();
       if (data.conversations) {
         this.conversations.clear();
@@ -306,7 +534,7 @@ class GMGUIApp {
 
   async fetchMessages(conversationId) {
     try {
-      const res = await fetch(`${BASE_URL}/api/conversations/${conversationId}/messages`);
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conversationId}/messages`);
       const data = await res.json();
       return data.messages || [];
     } catch (e) {
@@ -327,12 +555,14 @@ class GMGUIApp {
     const container = document.getElementById('agentCards');
     if (!container) return;
     container.innerHTML = '';
-    if (this.agents.size === 0) {
-      container.innerHTML = '<p style="color: var(--text-tertiary); font-size: 0.875rem;">No agents found. Install claude or opencode.</p>';
+    const agents = this.availableAgents();
+    if (agents.length === 0) {
+      container.innerHTML = '<p style="color: var(--text-tertiary); font-size: 0.875rem;">No agents found. Install an ACP agent or add one in Settings.</p>';
       return;
     }
     let first = true;
-    this.agents.forEach((agent, id) => {
+    agents.forEach((agent) => {
+      const id = agent.id;
       if (!first) {
         const sep = document.createElement('span');
         sep.className = 'agent-separator';
@@ -373,29 +603,398 @@ class GMGUIApp {
       (a, b) => (b.updated_at || 0) - (a.updated_at || 0)
     );
     sorted.forEach(conv => {
+      const access = this.conversationAccess(conv);
       const item = document.createElement('button');
       item.className = `chat-item ${this.currentConversation === conv.id ? 'active' : ''}`;
       const titleSpan = document.createElement('span');
       titleSpan.className = 'chat-item-title';
       titleSpan.textContent = conv.title || 'Untitled';
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'chat-item-delete';
-      deleteBtn.textContent = 'x';
-      deleteBtn.title = 'Delete chat';
-      deleteBtn.onclick = (e) => {
-        e.stopPropagation();
-        this.deleteConversation(conv.id);
-      };
       item.appendChild(titleSpan);
-      item.appendChild(deleteBtn);
+      if (access === 'owner') {
+        if (this.user) {
+          const shareBtn = document.createElement('button');
+          shareBtn.className = 'chat-item-share';
+          shareBtn.textContent = 'share';
+          shareBtn.title = 'Share chat';
+          shareBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.openShareDialog(conv.id);
+          };
+          item.appendChild(shareBtn);
+        }
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'chat-item-delete';
+        deleteBtn.textContent = 'x';
+        deleteBtn.title = 'Delete chat';
+        deleteBtn.onclick = (e) => {
+          e.stopPropagation();
+          this.deleteConversation(conv.id);
+        };
+        item.appendChild(deleteBtn);
+      } else {
+        const sharedTag = document.createElement('span');
+        sharedTag.className = 'chat-item-shared';
+        sharedTag.textContent = access === 'write' ? 'shared' : 'read-only';
+        item.appendChild(sharedTag);
+      }
       item.onclick = () => this.displayConversation(conv.id);
       list.appendChild(item);
     });
   }
 
+  async searchConversations(query) {
+    const results = document.getElementById('searchResults');
+    const searching = !!query.trim();
+    results.style.display = searching ? '' : 'none';
+    document.getElementById('chatList').style.display = searching ? 'none' : '';
+    document.querySelector('.history-title').style.display = searching ? 'none' : '';
+    if (!searching) return;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/search?q=${encodeURIComponent(query)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Search failed');
+      if (document.getElementById('searchInput').value !== query) return;
+      this.renderSearchResults(data.results);
+    } catch (e) {
+      console.error('searchConversations:', e);
+    }
+  }
+
+  renderSearchResults(hits) {
+    const list = document.getElementById('searchResults');
+    list.innerHTML = '';
+    if (hits.length === 0) {
+      list.innerHTML = '<p style="color: var(--text-tertiary); font-size: 0.875rem; padding: 0.5rem;">No matches</p>';
+      return;
+    }
+    for (const hit of hits) {
+      const item = document.createElement('button');
+      item.className = 'chat-item search-result';
+      const title = document.createElement('span');
+      title.className = 'search-result-title';
+      title.textContent = hit.title || 'Untitled';
+      const snippet = document.createElement('span');
+      snippet.className = 'search-result-snippet';
+      // Highlights are offsets into the plain snippet, so matched text never passes through innerHTML
+      let pos = 0;
+      for (const [start, end] of hit.highlights) {
+        snippet.append(hit.snippet.slice(pos, start));
+        const mark = document.createElement('mark');
+        mark.textContent = hit.snippet.slice(start, end);
+        snippet.append(mark);
+        pos = end;
+      }
+      snippet.append(hit.snippet.slice(pos));
+      if (hit.messageId) snippet.prepend(`${hit.role === 'user' ? 'You' : 'Agent'}: `);
+      item.append(title, snippet);
+      item.onclick = () => this.openSearchResult(hit);
+      list.appendChild(item);
+    }
+  }
+
+  async openSearchResult(hit) {
+    if (!this.conversations.has(hit.conversationId)) return;
+    await this.displayConversation(hit.conversationId);
+    const el = hit.messageId && document.querySelector(`[data-message-id="${hit.messageId}"]`);
+    if (!el) return;
+    el.scrollIntoView({ block: 'center' });
+    el.classList.add('search-hit');
+    setTimeout(() => el.classList.remove('search-hit'), 2000);
+  }
+
+  conversationAccess(conv) {
+    if (!this.user || conv.ownerId === this.user.id) return 'owner';
+    return conv.access || 'read';
+  }
+
+  removeConversation(id) {
+    this.conversations.delete(id);
+    if (this.currentConversation === id) {
+      this.currentConversation = null;
+      this.showWelcome();
+    }
+    this.renderChatHistory();
+  }
+
+  updateInputAccess() {
+    const input = document.getElementById('messageInput');
+    if (!input) return;
+    const conv = this.conversations.get(this.currentConversation);
+    const readOnly = !!conv && this.conversationAccess(conv) === 'read';
+    if (!input.dataset.placeholder) input.dataset.placeholder = input.placeholder;
+    input.disabled = readOnly;
+    input.placeholder = readOnly ? 'This chat is shared with you read-only' : input.dataset.placeholder;
+    this.updateSendButtonState();
+    this.updateTrustButton();
+    this.updateMcpButton();
+    this.renderSessionControls();
+  }
+
+  // Mode and model pickers for the open conversation, shown once its agent has reported any
+  renderSessionControls() {
+    const conv = this.conversations.get(this.currentConversation);
+    const readOnly = !conv || this.conversationAccess(conv) === 'read';
+    const fill = (select, options, current) => {
+      if (!select) return;
+      select.style.display = options.length ? '' : 'none';
+      select.disabled = readOnly;
+      select.innerHTML = options.map(o => `<option value="${escapeHtml(o.id)}" title="${escapeHtml(o.description || '')}">${escapeHtml(o.name || o.id)}</option>`).join('');
+      select.value = current || '';
+    };
+    fill(document.getElementById('modeSelect'), conv?.modes?.availableModes || [], conv?.modes?.currentModeId);
+    fill(document.getElementById('modelSelect'), (conv?.models?.availableModels || []).map(m => ({ ...m, id: m.modelId })), conv?.models?.currentModelId);
+  }
+
+  // change is { modeId } or { modelId }
+  async changeSessionMode(change) {
+    const id = this.currentConversation;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${id}/mode`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(change),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to change mode');
+      this.conversations.set(id, { ...this.conversations.get(id), modes: data.modes, models: data.models });
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+    if (this.currentConversation === id) this.renderSessionControls();
+  }
+
+  updateTrustButton() {
+    const btn = document.getElementById('trustBtn');
+    if (!btn) return;
+    const conv = this.conversations.get(this.currentConversation);
+    btn.style.display = conv && this.conversationAccess(conv) === 'owner' ? '' : 'none';
+    btn.classList.toggle('trusted', !!conv?.trusted);
+    btn.querySelector('.icon').textContent = conv?.trusted ? '🔓' : '🔒';
+    btn.title = conv?.trusted ? 'Trusted: agent HTML may run scripts (click to restrict)' : 'Agent HTML runs without scripts (click to trust this chat)';
+  }
+
+  async toggleTrusted() {
+    const conv = this.conversations.get(this.currentConversation);
+    if (!conv) return;
+    if (!conv.trusted && !confirm('Allow HTML from the agent in this chat to run scripts? Scripts stay sandboxed away from gmgui, but can still make network requests.')) return;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conv.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ trusted: !conv.trusted }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      this.conversations.set(conv.id, { ...conv, ...data.conversation });
+      if (this.currentConversation === conv.id) this.displayConversation(conv.id);
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  updateMcpButton() {
+    const btn = document.getElementById('mcpBtn');
+    if (!btn) return;
+    const conv = this.conversations.get(this.currentConversation);
+    btn.style.display = conv && this.conversationAccess(conv) === 'owner' ? '' : 'none';
+    const attached = (conv?.attachedMcpServers || []).filter(s => s.attached);
+    btn.querySelector('.mcp-count').textContent = attached.length || '';
+    btn.title = attached.length ? `MCP servers: ${attached.map(s => s.name).join(', ')}` : 'MCP servers';
+  }
+
+  // scope is 'conversation' for the open chat's own servers or 'global' for the shared list
+  async openMcpDialog(scope = 'conversation') {
+    const conv = this.conversations.get(this.currentConversation);
+    if (scope === 'conversation' && !conv) return;
+    let servers = conv?.mcpServers || [];
+    if (scope === 'global') {
+      try {
+        const res = await apiFetch(BASE_URL + '/api/mcp-servers');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load MCP servers');
+        servers = data.servers;
+      } catch (e) {
+        this.addSystemMessage(`Error: ${e.message}`);
+        return;
+      }
+    }
+    this.mcpDialog = { scope, conversationId: conv?.id, servers: [...servers] };
+    document.getElementById('mcpTitle').textContent = scope === 'global' ? 'Global MCP Servers' : 'MCP Servers for this Chat';
+    document.getElementById('mcpError').textContent = '';
+    this.renderMcpDialog();
+    this.updateMcpForm();
+    document.getElementById('mcpModal').classList.add('active');
+  }
+
+  closeMcpDialog() {
+    this.mcpDialog = null;
+    document.getElementById('mcpModal').classList.remove('active');
+  }
+
+  renderMcpDialog() {
+    if (!this.mcpDialog) return;
+    const attachedList = document.getElementById('mcpAttached');
+    attachedList.innerHTML = '';
+    const conv = this.mcpDialog.scope === 'conversation' && this.conversations.get(this.mcpDialog.conversationId);
+    if (conv?.attachedMcpServers?.length) {
+      attachedList.innerHTML = '<label>Current session</label>';
+      for (const server of conv.attachedMcpServers) {
+        const row = document.createElement('div');
+        row.className = `token-row mcp-attached ${server.attached ? '' : 'skipped'}`;
+        row.innerHTML = `<span class="token-name">${escapeHtml(server.name)} <code>${escapeHtml(server.type)}</code></span><span class="agent-status ${server.attached ? 'available' : ''}">${escapeHtml(server.attached ? `attached (${server.scope})` : server.reason)}</span>`;
+        attachedList.appendChild(row);
+      }
+    }
+
+    const list = document.getElementById('mcpList');
+    list.innerHTML = '';
+    if (!this.mcpDialog.servers.length) {
+      list.innerHTML = '<p style="margin: 0; color: var(--text-tertiary); font-size: 0.875rem;">No servers configured</p>';
+    }
+    this.mcpDialog.servers.forEach((server, i) => {
+      const row = document.createElement('div');
+      row.className = 'token-row agent-row';
+      const target = server.url || [server.command, ...(server.args || [])].join(' ');
+      row.innerHTML = `<span class="token-name">${escapeHtml(server.name)} <code>${escapeHtml(target)}</code></span>`;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-secondary';
+      removeBtn.textContent = 'Remove';
+      removeBtn.onclick = () => {
+        this.mcpDialog.servers.splice(i, 1);
+        this.renderMcpDialog();
+      };
+      row.appendChild(removeBtn);
+      list.appendChild(row);
+    });
+  }
+
+  updateMcpForm() {
+    const remote = document.getElementById('mcpType').value !== 'stdio';
+    document.getElementById('mcpCommandRow').style.display = remote ? 'none' : '';
+    document.getElementById('mcpUrl').style.display = remote ? '' : 'none';
+    document.getElementById('mcpPairs').placeholder = remote ? 'Headers, one Name=value per line' : 'Environment, one NAME=value per line';
+  }
+
+  addMcpServer() {
+    const field = (id) => document.getElementById(id).value.trim();
+    const pairs = [];
+    for (const line of field('mcpPairs').split('\n')) {
+      const i = line.indexOf('=');
+      if (i > 0) pairs.push({ name: line.slice(0, i).trim(), value: line.slice(i + 1).trim() });
+    }
+    const type = field('mcpType');
+    const server = type === 'stdio'
+      ? { name: field('mcpName'), command: field('mcpCommand'), args: field('mcpArgs') ? field('mcpArgs').split(/\s+/) : [], env: pairs }
+      : { type, name: field('mcpName'), url: field('mcpUrl'), headers: pairs };
+    const error = document.getElementById('mcpError');
+    if (!server.name || !(server.command || server.url)) {
+      error.textContent = type === 'stdio' ? 'Name and command are required' : 'Name and URL are required';
+      return;
+    }
+    error.textContent = '';
+    this.mcpDialog.servers = [...this.mcpDialog.servers.filter(s => s.name !== server.name), server];
+    ['mcpName', 'mcpCommand', 'mcpArgs', 'mcpUrl', 'mcpPairs'].forEach(id => { document.getElementById(id).value = ''; });
+    this.renderMcpDialog();
+  }
+
+  async saveMcpServers() {
+    const { scope, conversationId, servers } = this.mcpDialog;
+    const global = scope === 'global';
+    try {
+      const res = await apiFetch(global ? BASE_URL + '/api/mcp-servers' : `${BASE_URL}/api/conversations/${conversationId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(global ? { servers } : { mcpServers: servers }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save MCP servers');
+      if (!global) this.conversations.set(conversationId, { ...this.conversations.get(conversationId), ...data.conversation });
+      this.closeMcpDialog();
+    } catch (e) {
+      document.getElementById('mcpError').textContent = e.message;
+    }
+  }
+
+  async openShareDialog(id) {
+    this.shareDialogConversation = id;
+    document.getElementById('shareError').textContent = '';
+    document.getElementById('shareModal').classList.add('active');
+    await this.loadShares();
+    try {
+      const res = await apiFetch(BASE_URL + '/api/users');
+      const data = await res.json();
+      const options = document.getElementById('shareUserOptions');
+      options.innerHTML = '';
+      for (const u of data.users || []) {
+        if (u.id === this.user?.id) continue;
+        const option = document.createElement('option');
+        option.value = u.username;
+        options.appendChild(option);
+      }
+    } catch (e) {
+      console.error('openShareDialog:', e);
+    }
+  }
+
+  closeShareDialog() {
+    this.shareDialogConversation = null;
+    document.getElementById('shareModal').classList.remove('active');
+  }
+
+  async loadShares() {
+    const list = document.getElementById('shareList');
+    if (!list || !this.shareDialogConversation) return;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${this.shareDialogConversation}/shares`);
+      const data = await res.json();
+      list.innerHTML = '';
+      if (!data.shares?.length) {
+        list.innerHTML = '<p style="margin: 0; color: var(--text-tertiary); font-size: 0.875rem;">Not shared with anyone yet</p>';
+      }
+      for (const share of data.shares || []) {
+        const row = document.createElement('div');
+        row.className = 'token-row';
+        row.innerHTML = `<span class="token-name">${escapeHtml(share.username)}</span><code>${share.access === 'write' ? 'read & write' : 'read only'}</code>`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-secondary';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => this.removeShare(share.userId);
+        row.appendChild(removeBtn);
+        list.appendChild(row);
+      }
+    } catch (e) {
+      console.error('loadShares:', e);
+    }
+  }
+
+  async addShare() {
+    const username = document.getElementById('shareUsername').value.trim();
+    const access = document.getElementById('shareAccess').value;
+    const error = document.getElementById('shareError');
+    if (!username) return;
+    const res = await apiFetch(`${BASE_URL}/api/conversations/${this.shareDialogConversation}/shares`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, access }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      error.textContent = data.error || 'Failed to share';
+      return;
+    }
+    error.textContent = '';
+    document.getElementById('shareUsername').value = '';
+    this.loadShares();
+  }
+
+  async removeShare(userId) {
+    await apiFetch(`${BASE_URL}/api/conversations/${this.shareDialogConversation}/shares/${userId}`, { method: 'DELETE' });
+    this.loadShares();
+  }
+
   async deleteConversation(id) {
     try {
-      const res = await fetch(`${BASE_URL}/api/conversations/${id}`, { method: 'DELETE' });
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${id}`, { method: 'DELETE' });
     } catch (e) {
       console.error('deleteConversation:', e);
     }
@@ -424,12 +1023,14 @@ class GMGUIApp {
       </div>
     `;
     this.renderAgentCards();
+    this.renderSessionControls();
   }
 
   async displayConversation(id) {
     this.currentConversation = id;
     const conv = this.conversations.get(id);
     if (!conv) return;
+    this.updateInputAccess();
     if (conv.agentId && !this.selectedAgent) {
       this.selectedAgent = conv.agentId;
     }
@@ -452,6 +1053,9 @@ class GMGUIApp {
       this.renderAgentCards();
     } else {
       messages.forEach(msg => this.addMessageToDisplay(msg));
+      this.queues.set(id, messages.filter(m => m.status === 'queued').map(m => m.id));
+      this.renderQueue();
+      await this.resumeActiveStream(id);
 
       if (this.settings.autoScroll) {
         div.scrollTop = div.scrollHeight;
@@ -459,6 +1063,67 @@ class GMGUIApp {
     }
     this.renderChatHistory();
     this.renderAgentCards();
+    this.renderAttachments();
+    this.updateSendButtonState();
+    this.renderContextBanner();
+    if (conv.acpSessionId) this.resumeConversation(id);
+  }
+
+  // Reconnects the agent ahead of the next prompt so session/load or the re-seed offer happen up front
+  async resumeConversation(id) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${id}/resume`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Resume failed');
+      this.conversations.set(id, data.conversation);
+      if (this.currentConversation === id) {
+        this.renderContextBanner();
+        this.updateMcpButton();
+        this.renderSessionControls();
+      }
+    } catch (e) {
+      console.error('resumeConversation:', e);
+    }
+  }
+
+  renderContextBanner() {
+    const banner = document.getElementById('contextBanner');
+    if (!banner) return;
+    const conv = this.conversations.get(this.currentConversation);
+    if (!conv?.contextLost) {
+      banner.style.display = 'none';
+      return;
+    }
+    banner.innerHTML = '';
+    const text = document.createElement('span');
+    text.textContent = 'The agent could not resume its earlier session and has no memory of this conversation.';
+    const reseedBtn = document.createElement('button');
+    reseedBtn.className = 'btn btn-primary';
+    reseedBtn.textContent = 'Re-seed with summary';
+    reseedBtn.onclick = () => this.answerReseed(conv.id, true);
+    const dismissBtn = document.createElement('button');
+    dismissBtn.className = 'btn btn-secondary';
+    dismissBtn.textContent = 'Start fresh';
+    dismissBtn.onclick = () => this.answerReseed(conv.id, false);
+    banner.append(text, reseedBtn, dismissBtn);
+    banner.style.display = 'flex';
+  }
+
+  async answerReseed(id, accept) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${id}/reseed`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accept }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      this.conversations.set(id, data.conversation);
+      this.renderContextBanner();
+      if (accept) this.addSystemMessage('A summary of earlier messages will be sent with your next prompt.');
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
   }
 
 
@@ -504,9 +1169,14 @@ class GMGUIApp {
   addMessageToDisplay(msg) {
     const div = document.getElementById('chatMessages');
     if (!div) return;
+    div.appendChild(this.createMessageElement(msg));
+  }
+
+  createMessageElement(msg) {
     const el = document.createElement('div');
     el.className = `message ${msg.role}`;
-    el.dataset.messageId = msg.id;
+    if (msg.id) el.dataset.messageId = msg.id;
+    if (msg.idempotencyKey) el.dataset.idempotencyKey = msg.idempotencyKey;
 
     if (typeof msg.content === 'string') {
       const parsed = this.parseAndRenderContent(msg.content);
@@ -519,6 +1189,21 @@ class GMGUIApp {
         el.appendChild(bubble);
       }
     } else if (typeof msg.content === 'object' && msg.content !== null) {
+      // A user message's blocks are the images and files it sent, not agent activity
+      const blocks = msg.role !== 'user' && Array.isArray(msg.content.blocks) ? msg.content.blocks : [];
+      // Agent activity happens before the reply text, so it renders above it
+      const appendBlocks = (activity) => blocks
+        .filter(block => ACTIVITY_BLOCK_TYPES.includes(block.type) === activity)
+        .forEach(block => {
+          const blockEl = this.createBlockElement(block);
+          if (!blockEl) return;
+          if (block.type === 'thought') blockEl.classList.add('collapsed');
+          el.appendChild(blockEl);
+        });
+      appendBlocks(true);
+      if (msg.content.attachments?.length > 0 || msg.content.mentions?.length > 0 || (msg.role === 'user' && msg.content.blocks?.length > 0)) {
+        el.appendChild(this.createAttachmentList(msg.content, msg.conversationId || this.currentConversation));
+      }
       if (msg.content.text) {
         const parsed = this.parseAndRenderContent(msg.content.text);
         if (parsed) {
@@ -530,17 +1215,7 @@ class GMGUIApp {
           el.appendChild(bubble);
         }
       }
-      if (msg.content.blocks && Array.isArray(msg.content.blocks)) {
-        msg.content.blocks.forEach(block => {
-          if (block.type === 'html') {
-            const htmlEl = this.createHtmlBlock(block);
-            el.appendChild(htmlEl);
-          } else if (block.type === 'image') {
-            const imgEl = this.createImageBlock(block);
-            el.appendChild(imgEl);
-          }
-        });
-      }
+      appendBlocks(false);
     } else {
       const bubble = document.createElement('div');
       bubble.className = 'message-bubble';
@@ -548,12 +1223,12 @@ class GMGUIApp {
       el.appendChild(bubble);
     }
 
-    div.appendChild(el);
+    return el;
   }
 
   async startNewChat(folderPath) {
     if (!this.selectedAgent) {
-      const firstAgent = Array.from(this.agents.keys())[0];
+      const firstAgent = this.availableAgents()[0]?.id;
       if (firstAgent) {
         this.selectedAgent = firstAgent;
       }
@@ -562,29 +1237,31 @@ class GMGUIApp {
       ? folderPath.split('/').pop() || folderPath
       : `Chat ${this.conversations.size + 1}`;
     try {
-      const res = await fetch(BASE_URL + '/api/conversations', {
+      const res = await apiFetch(BASE_URL + '/api/conversations', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ agentId: this.selectedAgent || 'claude-code', title }),
+        body: JSON.stringify({ agentId: this.selectedAgent || 'claude-code', title, folderPath: folderPath || null }),
       });
       const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create chat');
       if (data.conversation) {
         const conv = data.conversation;
-        if (folderPath) conv.folderPath = folderPath;
         this.conversations.set(conv.id, conv);
         this.currentConversation = conv.id;
         this.renderChatHistory();
-        this.displayConversation(conv.id);
+        await this.displayConversation(conv.id);
       }
     } catch (e) {
       console.error('startNewChat:', e);
+      this.addSystemMessage(`Error: ${e.message}`);
     }
   }
 
   async sendMessage() {
     const input = document.getElementById('messageInput');
     const message = input.value.trim();
-    if (!message) return;
+    if (!this.hasDraft()) return;
+    if (await this.runLocalCommand(message)) return;
     if (!this.selectedAgent) {
       this.addSystemMessage('Please select an agent first');
       return;
@@ -593,20 +1270,34 @@ class GMGUIApp {
       await this.startNewChat();
     }
     if (!this.currentConversation) return;
-    const conv = this.conversations.get(this.currentConversation);
+    const conversationId = this.currentConversation;
+    const conv = this.conversations.get(conversationId);
 
     const idempotencyKey = `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    this.addMessageToDisplay({ role: 'user', content: message });
+    const attachments = this.pendingAttachments.get(conversationId) || [];
+    const blocks = this.pendingBlocks.get(conversationId) || [];
+    this.pendingAttachments.delete(conversationId);
+    this.pendingBlocks.delete(conversationId);
+    const mentions = this.mentionedPaths(message);
+    this.pickedMentions.clear();
+    const content = attachments.length > 0 || blocks.length > 0 || mentions.length > 0
+      ? { text: message, blocks, attachments, mentions: mentions.map(path => ({ path })) }
+      : message;
+    this.addMessageToDisplay({ role: 'user', content, idempotencyKey });
     input.value = '';
+    this.renderAttachments();
     this.updateSendButtonState();
 
     try {
       const folderPath = conv?.folderPath || localStorage.getItem('gmgui-home') || '/config';
-      const res = await fetch(`${BASE_URL}/api/conversations/${this.currentConversation}/messages`, {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conversationId}/messages`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           content: message,
+          blocks,
+          attachments: attachments.map(a => a.name),
+          mentions,
           agentId: this.selectedAgent,
           folderContext: { path: folderPath, isFolder: true },
           idempotencyKey,
@@ -614,13 +1305,15 @@ class GMGUIApp {
       });
       if (!res.ok) {
         const err = await res.json();
+        this.restoreDraft(conversationId, { message, attachments, blocks, mentions, idempotencyKey });
         this.addMessageToDisplay({ role: 'system', content: `Error: ${err.error || 'Request failed'}` });
         return;
       }
       const data = await res.json();
       this.idempotencyKeys.set(idempotencyKey, data.session.id);
-      this.startPollingMessages(this.currentConversation);
+      this.trackSession(conversationId, data.session.id, data.session.status);
     } catch (e) {
+      this.restoreDraft(conversationId, { message, attachments, blocks, mentions, idempotencyKey });
       this.addMessageToDisplay({ role: 'system', content: `Error: ${e.message}` });
     }
     if (this.settings.autoScroll) {
@@ -629,102 +1322,732 @@ class GMGUIApp {
     }
   }
 
-  addSystemMessage(text) {
-    this.addMessageToDisplay({ role: 'system', content: text });
+  // Puts a message that failed to send back into the input so its uploads and blocks aren't lost
+  restoreDraft(conversationId, { message, attachments, blocks, mentions, idempotencyKey }) {
+    document.querySelector(`[data-idempotency-key="${idempotencyKey}"]`)?.remove();
+    this.pendingAttachments.set(conversationId, [...attachments, ...(this.pendingAttachments.get(conversationId) || [])]);
+    this.pendingBlocks.set(conversationId, [...blocks, ...(this.pendingBlocks.get(conversationId) || [])]);
+    if (this.currentConversation !== conversationId) return;
+    const input = document.getElementById('messageInput');
+    if (input && !input.value.trim()) input.value = message;
+    mentions.forEach(path => this.pickedMentions.add(path));
+    this.renderAttachments();
+    this.updateSendButtonState();
   }
 
-  startPollingMessages(conversationId) {
-    if (this.pollingInterval) clearInterval(this.pollingInterval);
-
-    let pollCount = 0;
-    const maxNoResponsePolls = 60; // Stop polling after 60 polls with no change
-    let lastMessageCount = 0;
-
-    this.pollingInterval = setInterval(async () => {
-      try {
-        const res = await fetch(`${BASE_URL}/api/conversations/${conversationId}/messages`);
-        const data = await res.json();
-        const messages = data.messages || [];
-
-        // If we got new messages, render them
-        if (messages.length > lastMessageCount) {
-          const newMessages = messages.slice(lastMessageCount);
-          newMessages.forEach(msg => {
-            const existingEl = document.querySelector(`[data-message-id="${msg.id}"]`);
-            if (!existingEl) {
-              this.addMessageToDisplay(msg);
-            }
-          });
-          lastMessageCount = messages.length;
-          pollCount = 0; // Reset counter when we get activity
+  hasDraft() {
+    const input = document.getElementById('messageInput');
+    return !!input?.value.trim()
+      || (this.pendingAttachments.get(this.currentConversation) || []).length > 0
+      || (this.pendingBlocks.get(this.currentConversation) || []).length > 0;
+  }
 
-          if (this.settings.autoScroll) {
-            const div = document.getElementById('chatMessages');
-            if (div) div.scrollTop = div.scrollHeight;
-          }
-        } else {
-          pollCount++;
-        }
+  uploadUrl(conversationId, name) {
+    return withToken(`${BASE_URL}/api/conversations/${conversationId}/uploads/${encodeURIComponent(name)}`);
+  }
 
-        // Stop polling if no changes for a while
-        if (pollCount > maxNoResponsePolls) {
-          clearInterval(this.pollingInterval);
-          this.pollingInterval = null;
-        }
-      } catch (e) {
-        console.error('Polling error:', e);
-        clearInterval(this.pollingInterval);
-        this.pollingInterval = null;
+  createAttachmentList(content, conversationId) {
+    const list = document.createElement('div');
+    list.className = 'attachment-list';
+    (content.blocks || []).forEach(block => list.appendChild(this.createInlineBlockChip(block)));
+    (content.mentions || []).forEach(mention => {
+      const chip = document.createElement('span');
+      chip.className = 'attachment-chip';
+      chip.textContent = `@ ${mention.path}`;
+      chip.title = mention.path;
+      list.appendChild(chip);
+    });
+    (content.attachments || []).forEach(file => {
+      const link = document.createElement('a');
+      link.href = this.uploadUrl(conversationId, file.name);
+      link.title = `${file.name} (${formatSize(file.size)})`;
+      if (file.mimeType?.startsWith('image/')) {
+        link.className = 'attachment-thumb';
+        const img = document.createElement('img');
+        img.src = link.href;
+        img.alt = file.name;
+        link.appendChild(img);
+      } else {
+        link.className = 'attachment-chip';
+        link.textContent = `📄 ${file.name}`;
       }
-    }, 500); // Poll every 500ms
+      list.appendChild(link);
+    });
+    return list;
   }
 
-  createThoughtBlock() {
-    const wrap = document.createElement('div');
-    wrap.className = 'thought-block';
-    const header = document.createElement('div');
-    header.className = 'thought-header';
-    header.textContent = 'Thinking...';
-    header.onclick = () => wrap.classList.toggle('collapsed');
-    const content = document.createElement('div');
-    content.className = 'thought-content';
-    wrap.appendChild(header);
-    wrap.appendChild(content);
-    return wrap;
+  createInlineBlockChip(block) {
+    if (block.type === 'image') {
+      const thumb = document.createElement('span');
+      thumb.className = 'attachment-thumb';
+      thumb.title = block.name || 'Image';
+      const img = document.createElement('img');
+      img.src = `data:${block.mimeType};base64,${block.data}`;
+      img.alt = block.name || 'Image';
+      thumb.appendChild(img);
+      return thumb;
+    }
+    const chip = document.createElement('span');
+    chip.className = 'attachment-chip';
+    chip.textContent = `📄 ${block.name || block.resource?.uri}`;
+    chip.title = block.name || block.resource?.uri || '';
+    return chip;
   }
 
-  createToolBlock(event) {
-    const wrap = document.createElement('div');
-    wrap.className = `tool-block status-${event.status || 'running'}`;
-    const header = document.createElement('div');
+  // Paths picked from the @-menu that are still in the text when it is sent
+  mentionedPaths(text) {
+    return [...this.pickedMentions].filter(p => text.includes(`@${p}`));
+  }
+
+  // Opens the file menu while the word before the caret starts with @
+  updateMention() {
+    const input = document.getElementById('messageInput');
+    const before = input.value.slice(0, input.selectionStart);
+    const match = before.match(/(?:^|\s)@([^\s@]*)$/);
+    if (!match || !this.currentConversation) {
+      this.closeMention();
+      return;
+    }
+    const query = match[1];
+    this.mention = { ...this.mention, start: before.length - query.length - 1, query };
+    clearTimeout(this.mentionTimer);
+    this.mentionTimer = setTimeout(() => this.fetchMentions(query), 150);
+  }
+
+  async fetchMentions(query) {
+    const conversationId = this.currentConversation;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conversationId}/files?q=${encodeURIComponent(query)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'File search failed');
+      if (!this.mention || this.mention.query !== query || this.currentConversation !== conversationId) return;
+      this.mention.items = data.files;
+      this.mention.index = 0;
+      this.renderMentionMenu();
+    } catch (e) {
+      console.error('fetchMentions:', e);
+    }
+  }
+
+  renderMentionMenu() {
+    const menu = document.getElementById('mentionMenu');
+    if (!menu) return;
+    const items = this.mention?.items || [];
+    menu.innerHTML = '';
+    menu.style.display = items.length > 0 ? 'block' : 'none';
+    items.forEach((file, i) => {
+      const item = document.createElement('div');
+      item.className = `mention-item ${i === this.mention.index ? 'active' : ''}`;
+      const name = document.createElement('span');
+      name.className = 'mention-name';
+      name.textContent = file.name;
+      const dir = document.createElement('span');
+      dir.className = 'mention-path';
+      dir.textContent = file.path;
+      item.append(name, dir);
+      item.onmousedown = (e) => {
+        e.preventDefault();
+        this.selectMention(file);
+      };
+      menu.appendChild(item);
+    });
+  }
+
+  handleMentionKey(e) {
+    const items = this.mention?.items || [];
+    if (items.length === 0) return false;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      this.mention.index = (this.mention.index + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+      this.renderMentionMenu();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      this.selectMention(items[this.mention.index]);
+    } else if (e.key === 'Escape') {
+      this.closeMention();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  selectMention(file) {
+    const input = document.getElementById('messageInput');
+    const { start } = this.mention;
+    const end = input.selectionStart;
+    const inserted = `@${file.path} `;
+    input.value = input.value.slice(0, start) + inserted + input.value.slice(end);
+    input.selectionStart = input.selectionEnd = start + inserted.length;
+    this.pickedMentions.add(file.path);
+    this.closeMention();
+    input.focus();
+    this.updateSendButtonState();
+  }
+
+  closeMention() {
+    clearTimeout(this.mentionTimer);
+    this.mention = null;
+    const menu = document.getElementById('mentionMenu');
+    if (menu) menu.style.display = 'none';
+  }
+
+  // Local commands first, then whatever the agent advertised in available_commands_update
+  slashCommands() {
+    const agentCommands = this.conversations.get(this.currentConversation)?.availableCommands || [];
+    return [
+      ...LOCAL_COMMANDS.map(c => ({ ...c, local: true })),
+      ...agentCommands.filter(c => !LOCAL_COMMANDS.some(l => l.name === c.name)),
+    ];
+  }
+
+  // Opens the command menu while the first word of the input is being typed after a /
+  updateSlash() {
+    const input = document.getElementById('messageInput');
+    const match = input.value.slice(0, input.selectionStart).match(/^\/(\S*)$/);
+    const query = match?.[1].toLowerCase();
+    const items = match ? this.slashCommands().filter(c => c.name.toLowerCase().startsWith(query)) : [];
+    if (items.length === 0) {
+      this.closeSlash();
+      return;
+    }
+    this.slash = { items, index: 0 };
+    this.renderSlashMenu();
+  }
+
+  renderSlashMenu() {
+    const menu = document.getElementById('commandMenu');
+    if (!menu) return;
+    const items = this.slash?.items || [];
+    menu.innerHTML = '';
+    menu.style.display = items.length > 0 ? 'block' : 'none';
+    items.forEach((command, i) => {
+      const item = document.createElement('div');
+      item.className = `mention-item ${i === this.slash.index ? 'active' : ''}`;
+      const name = document.createElement('span');
+      name.className = 'mention-name';
+      name.textContent = `/${command.name}${command.input?.hint ? ` <${command.input.hint}>` : ''}`;
+      const description = document.createElement('span');
+      description.className = 'mention-path';
+      description.textContent = command.local ? `${command.description} (gmgui)` : command.description || '';
+      item.append(name, description);
+      item.onmousedown = (e) => {
+        e.preventDefault();
+        this.selectSlash(command);
+      };
+      menu.appendChild(item);
+    });
+  }
+
+  handleSlashKey(e) {
+    const items = this.slash?.items || [];
+    if (items.length === 0) return false;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      this.slash.index = (this.slash.index + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+      this.renderSlashMenu();
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey)) {
+      this.selectSlash(items[this.slash.index]);
+    } else if (e.key === 'Escape') {
+      this.closeSlash();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  selectSlash(command) {
+    const input = document.getElementById('messageInput');
+    const rest = input.value.replace(/^\/\S*\s?/, '');
+    const inserted = `/${command.name} `;
+    input.value = inserted + rest;
+    input.selectionStart = input.selectionEnd = inserted.length;
+    this.closeSlash();
+    input.focus();
+    this.updateSendButtonState();
+  }
+
+  closeSlash() {
+    this.slash = null;
+    const menu = document.getElementById('commandMenu');
+    if (menu) menu.style.display = 'none';
+  }
+
+  // Returns true when the text was a gmgui command, which is never sent to the agent
+  async runLocalCommand(text) {
+    const match = text.match(/^\/(\S+)(?:\s+([\s\S]*))?$/);
+    if (!match || !LOCAL_COMMANDS.some(c => c.name === match[1])) return false;
+    const [, name, arg = ''] = match;
+    const input = document.getElementById('messageInput');
+    input.value = '';
+    this.updateSendButtonState();
+    const conv = this.conversations.get(this.currentConversation);
+    if (!conv) {
+      this.addSystemMessage(`/${name} needs an open chat`);
+      return true;
+    }
+    try {
+      if (name === 'clear') {
+        if (!confirm('Delete every message in this chat and start the agent afresh?')) return true;
+        const res = await apiFetch(`${BASE_URL}/api/conversations/${conv.id}/clear`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to clear chat');
+        this.conversations.set(conv.id, { ...conv, ...data.conversation });
+        await this.displayConversation(conv.id);
+      } else if (name === 'title') {
+        if (!arg.trim()) throw new Error('Usage: /title <new title>');
+        const res = await apiFetch(`${BASE_URL}/api/conversations/${conv.id}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ title: arg.trim() }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to rename chat');
+        this.conversations.set(conv.id, { ...conv, ...data.conversation });
+        this.renderChatHistory();
+      } else if (name === 'mode') {
+        const modes = conv.modes?.availableModes || [];
+        if (modes.length === 0) throw new Error('This agent has not reported any modes yet');
+        const wanted = arg.trim().toLowerCase();
+        const mode = modes.find(m => m.id.toLowerCase() === wanted || m.name?.toLowerCase() === wanted);
+        if (!mode) {
+          this.addSystemMessage(`Modes: ${modes.map(m => m.id === conv.modes.currentModeId ? `${m.id} (current)` : m.id).join(', ')}`);
+          return true;
+        }
+        await this.changeSessionMode({ modeId: mode.id });
+      } else if (name === 'export') {
+        const format = arg.trim() || 'md';
+        if (!['md', 'json', 'html'].includes(format)) throw new Error('Usage: /export [md|json|html]');
+        this.exportConversation(conv.id, format);
+      }
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+    return true;
+  }
+
+  exportConversation(id, format = 'md') {
+    const link = document.createElement('a');
+    link.href = withToken(`${BASE_URL}/api/conversations/${id}/export?format=${format}`);
+    link.download = '';
+    link.click();
+  }
+
+  async importConversation(file) {
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error(`${file.name} is not a JSON export`);
+      }
+      const res = await apiFetch(BASE_URL + '/api/conversations/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || 'Import failed');
+      this.conversations.set(result.conversation.id, result.conversation);
+      this.renderChatHistory();
+      await this.displayConversation(result.conversation.id);
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  // Images and small text files go inline as ACP blocks when the agent accepts them; anything else is uploaded
+  async addFiles(files) {
+    if (!files.length) return;
+    if (!this.currentConversation) await this.startNewChat();
+    const conversationId = this.currentConversation;
+    if (!conversationId) return;
+    // Unknown until the agent has connected once; the server degrades unsupported blocks to text
+    const capabilities = this.conversations.get(conversationId)?.agentCapabilities?.promptCapabilities;
+    const blocks = [];
+    const uploads = [];
+    for (const file of files) {
+      const name = file.name || 'pasted-file';
+      try {
+        if (file.type.startsWith('image/')) {
+          if (capabilities && !capabilities.image) throw new Error(`${name}: this agent does not accept images`);
+          if (file.size > INLINE_IMAGE_MAX_BYTES) throw new Error(`${name} is larger than ${formatSize(INLINE_IMAGE_MAX_BYTES)}`);
+          const dataUrl = await readFileAsDataUrl(file);
+          blocks.push({ type: 'image', name, mimeType: file.type, data: dataUrl.slice(dataUrl.indexOf(',') + 1) });
+        } else if (isTextFile(file) && file.size <= INLINE_TEXT_MAX_BYTES && (!capabilities || capabilities.embeddedContext)) {
+          blocks.push({ type: 'resource', name, resource: { uri: `attachment://${encodeURIComponent(name)}`, mimeType: file.type || 'text/plain', text: await file.text() } });
+        } else {
+          uploads.push(file);
+        }
+      } catch (e) {
+        this.addSystemMessage(`Error: ${e.message}`);
+      }
+    }
+    if (blocks.length > 0) {
+      this.pendingBlocks.set(conversationId, [...(this.pendingBlocks.get(conversationId) || []), ...blocks]);
+      this.renderAttachments();
+      this.updateSendButtonState();
+    }
+    if (uploads.length > 0) await this.uploadFiles(uploads);
+  }
+
+  async uploadFiles(files) {
+    if (!files.length) return;
+    if (!this.currentConversation) await this.startNewChat();
+    const conversationId = this.currentConversation;
+    if (!conversationId) return;
+    const form = new FormData();
+    Array.from(files).forEach(file => form.append('file', file, file.name));
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conversationId}/uploads`, { method: 'POST', body: form });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Upload failed');
+      this.pendingAttachments.set(conversationId, [...(this.pendingAttachments.get(conversationId) || []), ...data.files]);
+      this.renderAttachments();
+      this.updateSendButtonState();
+    } catch (e) {
+      this.addSystemMessage(`Upload error: ${e.message}`);
+    }
+  }
+
+  async captureScreenshot() {
+    if (!this.currentConversation) await this.startNewChat();
+    const conversationId = this.currentConversation;
+    if (!conversationId) return;
+    try {
+      const res = await apiFetch(BASE_URL + '/api/screenshot', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ conversationId, format: this.settings.screenshotFormat }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Screenshot failed');
+      this.screenshot = { conversationId, file: data.file };
+      document.getElementById('screenshotImage').src = this.uploadUrl(conversationId, data.file.name);
+      document.getElementById('screenshotModal').classList.add('active');
+    } catch (e) {
+      this.addSystemMessage(`Screenshot error: ${e.message}`);
+    }
+  }
+
+  // The capture is attached to the next prompt, along with anything already typed
+  sendScreenshot() {
+    const shot = this.screenshot;
+    if (!shot) return;
+    this.screenshot = null;
+    this.closeScreenshotModal();
+    this.pendingAttachments.set(shot.conversationId, [...(this.pendingAttachments.get(shot.conversationId) || []), shot.file]);
+    if (this.currentConversation === shot.conversationId) this.sendMessage();
+  }
+
+  downloadScreenshot() {
+    if (!this.screenshot) return;
+    const link = document.createElement('a');
+    link.href = this.uploadUrl(this.screenshot.conversationId, this.screenshot.file.name);
+    link.download = this.screenshot.file.name;
+    link.click();
+  }
+
+  // Captures that are closed without being sent are discarded
+  closeScreenshotModal() {
+    document.getElementById('screenshotModal').classList.remove('active');
+    document.getElementById('screenshotImage').src = '';
+    if (!this.screenshot) return;
+    const { conversationId, file } = this.screenshot;
+    this.screenshot = null;
+    apiFetch(`${BASE_URL}/api/conversations/${conversationId}/uploads/${encodeURIComponent(file.name)}`, { method: 'DELETE' })
+      .catch(e => console.error('closeScreenshotModal:', e));
+  }
+
+  // Files uploaded but not yet sent, shown above the input until the next prompt takes them
+  renderAttachments() {
+    const list = document.getElementById('pendingAttachments');
+    if (!list) return;
+    const conversationId = this.currentConversation;
+    const files = this.pendingAttachments.get(conversationId) || [];
+    const blocks = this.pendingBlocks.get(conversationId) || [];
+    list.innerHTML = '';
+    list.style.display = files.length > 0 || blocks.length > 0 ? 'flex' : 'none';
+    blocks.forEach(block => {
+      const chip = this.createInlineBlockChip(block);
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove';
+      removeBtn.onclick = () => {
+        this.pendingBlocks.set(conversationId, (this.pendingBlocks.get(conversationId) || []).filter(b => b !== block));
+        this.renderAttachments();
+        this.updateSendButtonState();
+      };
+      chip.appendChild(removeBtn);
+      list.appendChild(chip);
+    });
+    files.forEach(file => {
+      const chip = document.createElement('span');
+      chip.className = 'attachment-chip';
+      chip.textContent = `📄 ${file.name}`;
+      chip.title = formatSize(file.size);
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove';
+      removeBtn.onclick = () => this.removeAttachment(conversationId, file.name);
+      chip.appendChild(removeBtn);
+      list.appendChild(chip);
+    });
+  }
+
+  async removeAttachment(conversationId, name) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conversationId}/uploads/${encodeURIComponent(name)}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) throw new Error((await res.json()).error || 'Remove failed');
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+      return;
+    }
+    this.pendingAttachments.set(conversationId, (this.pendingAttachments.get(conversationId) || []).filter(f => f.name !== name));
+    this.renderAttachments();
+    this.updateSendButtonState();
+  }
+
+  addSystemMessage(text) {
+    this.addMessageToDisplay({ role: 'system', content: text });
+  }
+
+  renderQueue() {
+    document.querySelectorAll('.queue-badge').forEach(badge => badge.remove());
+    const queue = this.queues.get(this.currentConversation) || [];
+    queue.forEach((messageId, i) => {
+      const el = document.querySelector(`[data-message-id="${messageId}"]`);
+      if (!el) return;
+      const badge = document.createElement('div');
+      badge.className = 'queue-badge';
+      const label = document.createElement('span');
+      label.textContent = `Queued #${i + 1}`;
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit';
+      editBtn.onclick = () => this.editQueuedMessage(el, messageId);
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.onclick = () => this.removeQueuedMessage(messageId);
+      badge.append(label, editBtn, removeBtn);
+      el.appendChild(badge);
+    });
+  }
+
+  editQueuedMessage(el, messageId) {
+    const bubble = el.querySelector('.message-bubble');
+    if (!bubble) return;
+    const editor = document.createElement('textarea');
+    editor.className = 'chat-input queue-editor';
+    editor.value = bubble.textContent;
+    editor.onkeydown = (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.saveQueuedMessage(el, messageId, editor.value.trim());
+      } else if (e.key === 'Escape') {
+        editor.replaceWith(bubble);
+      }
+    };
+    bubble.replaceWith(editor);
+    editor.focus();
+  }
+
+  async saveQueuedMessage(el, messageId, content) {
+    if (!content) return;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${this.currentConversation}/messages/${messageId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Edit failed');
+      el.replaceWith(this.createMessageElement(data.message));
+      this.renderQueue();
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  async removeQueuedMessage(messageId) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${this.currentConversation}/messages/${messageId}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error || 'Remove failed');
+      }
+      document.querySelector(`[data-message-id="${messageId}"]`)?.remove();
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  trackSession(conversationId, sessionId, status) {
+    if (status === 'pending' || status === 'processing') {
+      this.activeSessions.set(conversationId, sessionId);
+    } else if (this.activeSessions.get(conversationId) === sessionId) {
+      this.activeSessions.delete(conversationId);
+    }
+    this.updateSendButtonState();
+  }
+
+  async cancelActiveSession() {
+    const sessionId = this.activeSessions.get(this.currentConversation);
+    if (!sessionId) return;
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/sessions/${sessionId}/cancel`, { method: 'POST' });
+      if (!res.ok) {
+        const err = await res.json();
+        this.addSystemMessage(`Error: ${err.error || 'Cancel failed'}`);
+      }
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  async resumeActiveStream(conversationId) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/conversations/${conversationId}/sessions/latest`);
+      const data = await res.json();
+      if (data.session) this.trackSession(conversationId, data.session.id, data.stream ? 'processing' : data.session.status);
+      if (!data.stream || this.currentConversation !== conversationId) return;
+      const sessionId = data.session.id;
+      document.querySelector(`[data-session-id="${sessionId}"]`)?.remove();
+      data.stream.chunks.forEach(chunk => this.appendStreamChunk(sessionId, null, chunk));
+      this.getStreamElement(sessionId).dataset.seq = data.stream.seq - 1;
+    } catch (e) {
+      console.error('resumeActiveStream:', e);
+    }
+  }
+
+  getStreamElement(sessionId) {
+    let el = document.querySelector(`[data-session-id="${sessionId}"]`);
+    if (el) return el;
+    const div = document.getElementById('chatMessages');
+    el = document.createElement('div');
+    el.className = 'message assistant';
+    el.dataset.sessionId = sessionId;
+    el.dataset.seq = -1;
+    const container = document.createElement('div');
+    container.className = 'stream-container';
+    el.appendChild(container);
+    div.appendChild(el);
+    return el;
+  }
+
+  appendStreamChunk(sessionId, seq, chunk) {
+    const div = document.getElementById('chatMessages');
+    if (!div) return;
+    const el = this.getStreamElement(sessionId);
+    if (seq !== null) {
+      if (seq <= Number(el.dataset.seq)) return;
+      el.dataset.seq = seq;
+    }
+    const container = el.querySelector('.stream-container');
+    if (chunk.type === 'text') {
+      let textBlock = container.lastElementChild;
+      if (!textBlock || !textBlock.classList.contains('stream-text-block')) {
+        textBlock = document.createElement('div');
+        textBlock.className = 'stream-text-block';
+        container.appendChild(textBlock);
+      }
+      textBlock.textContent += chunk.text;
+    } else if (chunk.type === 'thought') {
+      const thought = container.lastElementChild;
+      if (thought?.classList.contains('thought-block')) {
+        thought.querySelector('.thought-content').textContent += chunk.text;
+      } else {
+        container.appendChild(this.createThoughtBlock(chunk.text));
+      }
+    } else if (chunk.type === 'plan') {
+      const plan = this.createPlanBlock(chunk.entries);
+      const existing = container.querySelector('.plan-block');
+      if (existing) existing.replaceWith(plan);
+      else container.appendChild(plan);
+    } else if (chunk.type === 'permission_update') {
+      const permission = container.querySelector(`[data-permission-id="${CSS.escape(chunk.id)}"]`);
+      if (permission) this.resolvePermissionBlock(permission, chunk.outcome);
+    } else if (chunk.type === 'tool_call_update') {
+      const tool = container.querySelector(`[data-tool-call-id="${CSS.escape(chunk.id)}"]`);
+      if (tool) this.updateToolBlock(tool, chunk);
+    } else {
+      const blockEl = this.createBlockElement(chunk);
+      if (blockEl) container.appendChild(blockEl);
+    }
+    if (this.settings.autoScroll) div.scrollTop = div.scrollHeight;
+  }
+
+  finishStream(sessionId, message) {
+    document.querySelector(`[data-session-id="${sessionId}"]`)?.remove();
+    if (!document.querySelector(`[data-message-id="${message.id}"]`)) {
+      this.addMessageToDisplay(message);
+    }
+    if (this.settings.autoScroll) {
+      const div = document.getElementById('chatMessages');
+      if (div) div.scrollTop = div.scrollHeight;
+    }
+  }
+
+  createBlockElement(block) {
+    switch (block.type) {
+      case 'html': return this.createHtmlBlock(block);
+      case 'image': return this.createImageBlock(block);
+      case 'thought': return this.createThoughtBlock(block.text);
+      case 'plan': return this.createPlanBlock(block.entries);
+      case 'tool_call': return this.createToolBlock(block);
+      case 'permission': return this.createPermissionBlock(block);
+      default: return null;
+    }
+  }
+
+  createThoughtBlock(text = '') {
+    const wrap = document.createElement('div');
+    wrap.className = 'thought-block';
+    const header = document.createElement('div');
+    header.className = 'thought-header';
+    header.textContent = 'Thinking...';
+    header.onclick = () => wrap.classList.toggle('collapsed');
+    const content = document.createElement('div');
+    content.className = 'thought-content';
+    content.textContent = text;
+    wrap.appendChild(header);
+    wrap.appendChild(content);
+    return wrap;
+  }
+
+  createToolBlock(event) {
+    const wrap = document.createElement('div');
+    wrap.className = `tool-block status-${event.status || 'running'}`;
+    if (event.id) wrap.dataset.toolCallId = event.id;
+    const header = document.createElement('div');
     header.className = 'tool-header';
     const kindIcons = { execute: '>', read: '?', edit: '/', search: '~', fetch: '@', write: '/', think: '!', other: '#' };
     const icon = kindIcons[event.kind] || '#';
     header.innerHTML = `<span class="tool-icon">${escapeHtml(icon)}</span><span class="tool-title">${escapeHtml(event.title || event.kind || 'tool')}</span><span class="tool-status">${escapeHtml(event.status || 'running')}</span>`;
     header.onclick = () => wrap.classList.toggle('collapsed');
     wrap.appendChild(header);
-    if (event.content && event.content.length) {
-      const body = document.createElement('div');
-      body.className = 'tool-body';
-      event.content.forEach(c => {
-        if (c.text) body.textContent += c.text;
-      });
-      wrap.appendChild(body);
-    }
+    this.renderToolBody(wrap, event);
     return wrap;
   }
 
   updateToolBlock(block, event) {
-    block.className = `tool-block status-${event.status || 'completed'}`;
-    const statusEl = block.querySelector('.tool-status');
-    if (statusEl) statusEl.textContent = event.status || 'completed';
-    if (event.content && event.content.length) {
-      let body = block.querySelector('.tool-body');
-      if (!body) { body = document.createElement('div'); body.className = 'tool-body'; block.appendChild(body); }
-      event.content.forEach(c => {
-        if (c.text) body.textContent += c.text;
-      });
+    if (event.status) {
+      block.className = `tool-block status-${event.status}${block.classList.contains('collapsed') ? ' collapsed' : ''}`;
+      const statusEl = block.querySelector('.tool-status');
+      if (statusEl) statusEl.textContent = event.status;
+    }
+    if (event.title) {
+      const titleEl = block.querySelector('.tool-title');
+      if (titleEl) titleEl.textContent = event.title;
     }
+    this.renderToolBody(block, event);
+  }
+
+  // ACP tool content replaces rather than appends, so the body is rebuilt on each update
+  renderToolBody(block, event) {
+    if (!event.content?.length && !event.locations?.length) return;
+    let body = block.querySelector('.tool-body');
+    if (!body) { body = document.createElement('div'); body.className = 'tool-body'; block.appendChild(body); }
+    if (event.locations?.length) body.dataset.locations = event.locations.map(l => l.path).join('\n');
+    if (event.content?.length) body.dataset.content = event.content.map(toolContentText).filter(Boolean).join('\n');
+    body.textContent = [body.dataset.locations, body.dataset.content].filter(Boolean).join('\n\n');
   }
 
   createPlanBlock(entries) {
@@ -735,16 +2058,79 @@ class GMGUIApp {
     header.textContent = 'Plan';
     wrap.appendChild(header);
     if (entries && entries.length) {
+      const markers = { completed: '✓', in_progress: '◐', pending: '○' };
       entries.forEach(entry => {
         const item = document.createElement('div');
-        item.className = 'plan-item';
-        item.textContent = entry.title || entry.description || JSON.stringify(entry);
+        item.className = `plan-item ${entry.status ? 'status-' + entry.status : ''}`;
+        const text = entry.content || entry.title || entry.description || JSON.stringify(entry);
+        item.textContent = markers[entry.status] ? `${markers[entry.status]} ${text}` : text;
         wrap.appendChild(item);
       });
     }
     return wrap;
   }
 
+  createPermissionBlock(block) {
+    const wrap = document.createElement('div');
+    wrap.className = 'permission-block';
+    wrap.dataset.permissionId = block.id;
+    const header = document.createElement('div');
+    header.className = 'permission-header';
+    header.textContent = `Permission requested: ${block.title}`;
+    wrap.appendChild(header);
+    if (block.rawInput?.command) {
+      const command = document.createElement('div');
+      command.className = 'permission-command';
+      command.textContent = block.rawInput.command;
+      wrap.appendChild(command);
+    }
+    if (block.outcome) {
+      this.resolvePermissionBlock(wrap, block.outcome);
+      return wrap;
+    }
+    const actions = document.createElement('div');
+    actions.className = 'permission-actions';
+    const kindClasses = { allow_once: 'btn-success', allow_always: 'btn-primary', reject_once: 'btn-danger', reject_always: 'btn-danger' };
+    block.options.forEach(option => {
+      const btn = document.createElement('button');
+      btn.className = `btn ${kindClasses[option.kind] || 'btn-secondary'}`;
+      btn.textContent = option.name || option.optionId;
+      btn.onclick = () => this.answerPermission(block.id, option.optionId, actions);
+      actions.appendChild(btn);
+    });
+    wrap.appendChild(actions);
+    return wrap;
+  }
+
+  resolvePermissionBlock(wrap, outcome) {
+    wrap.querySelector('.permission-actions')?.remove();
+    wrap.classList.add('resolved', outcome.kind?.startsWith('allow') ? 'allowed' : 'rejected');
+    const result = document.createElement('div');
+    result.className = 'permission-outcome';
+    const sources = { timeout: ' (timed out)', cancelled: ' (prompt ended)', policy: ' (by policy)' };
+    result.textContent = `${outcome.name}${sources[outcome.source] || ''}`;
+    wrap.appendChild(result);
+  }
+
+  async answerPermission(permissionId, optionId, actions) {
+    actions.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/permissions/${permissionId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ optionId }),
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        this.addSystemMessage(`Error: ${err.error || 'Request failed'}`);
+        actions.remove();
+      }
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+      actions.querySelectorAll('button').forEach(btn => { btn.disabled = false; });
+    }
+  }
+
   createHtmlBlock(event) {
     const wrap = document.createElement('div');
     wrap.className = 'html-block';
@@ -755,13 +2141,31 @@ class GMGUIApp {
       header.textContent = event.title;
       wrap.appendChild(header);
     }
-    const content = document.createElement('div');
-    content.className = 'html-content';
-    content.innerHTML = event.html;
-    wrap.appendChild(content);
+    const conv = this.conversations.get(this.currentConversation);
+    const frame = document.createElement('iframe');
+    frame.className = 'html-frame';
+    // Never allow-same-origin: agent HTML must not reach the app's storage or API
+    frame.setAttribute('sandbox', conv?.trusted ? 'allow-scripts allow-forms allow-popups' : 'allow-scripts');
+    frame.srcdoc = this.htmlFrameDocument(event.html || '', !!conv?.trusted);
+    wrap.appendChild(frame);
     return wrap;
   }
 
+  // Untrusted frames get a CSP that only lets the nonce'd sizing script run
+  htmlFrameDocument(html, trusted) {
+    const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    const csp = trusted ? '' : `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'nonce-${nonce}'; style-src 'unsafe-inline'; img-src data: blob:; font-src data:">`;
+    const variables = Object.entries(this.themeVariables()).map(([name, value]) => `${name}: ${value};`).join(' ');
+    return `<!DOCTYPE html><html><head><meta charset="utf-8">${csp}
+<style>:root { ${variables} } html { overflow: hidden; } body { margin: 0; padding: 0.75rem; font: 0.9rem/1.5 system-ui, sans-serif; color: var(--text-primary); background: transparent; overflow-wrap: anywhere; } body > :first-child { margin-top: 0; } body > :last-child { margin-bottom: 0; }</style>
+<script nonce="${nonce}">${HTML_FRAME_SCRIPT}</script></head><body>${html}</body></html>`;
+  }
+
+  themeVariables() {
+    const style = getComputedStyle(document.documentElement);
+    return Object.fromEntries(THEME_VARIABLES.map(name => [name, style.getPropertyValue(name).trim()]));
+  }
+
   createImageBlock(event) {
     const wrap = document.createElement('div');
     wrap.className = 'image-block';
@@ -772,7 +2176,7 @@ class GMGUIApp {
       wrap.appendChild(header);
     }
     const img = document.createElement('img');
-    img.src = event.url;
+    img.src = withToken(event.url);
     img.alt = event.alt || 'Image from agent';
     img.className = 'image-content';
     img.style.maxWidth = '100%';
@@ -783,17 +2187,175 @@ class GMGUIApp {
   }
 
   updateSendButtonState() {
-    const input = document.getElementById('messageInput');
     const btn = document.getElementById('sendBtn');
-    if (btn) btn.disabled = !input || !input.value.trim();
+    if (!btn) return;
+    // With text typed or files attached the button queues another prompt; otherwise it stops the running one
+    const running = this.activeSessions.has(this.currentConversation) && !this.hasDraft();
+    btn.classList.toggle('stop', running);
+    btn.title = running ? 'Stop agent' : 'Send message';
+    const icon = btn.querySelector('.icon');
+    if (icon) icon.textContent = running ? '■' : '→';
+    btn.disabled = !running && !this.hasDraft();
+  }
+
+  async loadAgentSettings() {
+    await this.fetchAgents();
+    this.renderAgentSettings();
+  }
+
+  renderAgentSettings() {
+    const list = document.getElementById('agentList');
+    if (!list) return;
+    const canManage = !this.user || this.user.role === 'admin';
+    document.getElementById('agentForm').style.display = canManage ? '' : 'none';
+    document.getElementById('mcpSettings').style.display = canManage ? '' : 'none';
+    list.innerHTML = '';
+    for (const agent of this.agents.values()) {
+      const row = document.createElement('div');
+      row.className = 'token-row agent-row';
+      const command = [agent.command, ...(agent.args || [])].join(' ');
+      row.innerHTML = `
+        <span class="agent-card-icon">${escapeHtml(agent.icon || 'A')}</span>
+        <span class="token-name">${escapeHtml(agent.name || agent.id)} <code>${escapeHtml(command)}</code></span>
+        <span class="agent-status ${agent.available ? 'available' : ''}">${agent.available ? 'found' : 'not found'}</span>
+      `;
+      if (canManage && agent.source === 'registry') {
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-secondary';
+        removeBtn.textContent = 'Remove';
+        removeBtn.onclick = () => this.removeAgent(agent.id);
+        row.appendChild(removeBtn);
+      }
+      list.appendChild(row);
+    }
+  }
+
+  async saveAgent() {
+    const field = (id) => document.getElementById(id).value.trim();
+    const env = {};
+    for (const line of field('agentEnv').split('\n')) {
+      const i = line.indexOf('=');
+      if (i > 0) env[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    }
+    const agent = {
+      id: field('agentId'),
+      name: field('agentName') || undefined,
+      icon: field('agentIcon') || undefined,
+      command: field('agentCommand'),
+      args: field('agentArgs') ? field('agentArgs').split(/\s+/) : [],
+      env,
+      defaultMode: field('agentDefaultMode') || undefined,
+    };
+    const error = document.getElementById('agentError');
+    error.textContent = '';
+    try {
+      const res = await apiFetch(BASE_URL + '/api/agents', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(agent),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save agent');
+      ['agentId', 'agentName', 'agentIcon', 'agentCommand', 'agentArgs', 'agentEnv', 'agentDefaultMode'].forEach(id => { document.getElementById(id).value = ''; });
+      if (!data.agent.available) error.textContent = `Saved, but "${data.agent.command}" was not found on the server`;
+      await this.loadAgentSettings();
+      this.renderAgentCards();
+    } catch (e) {
+      error.textContent = e.message;
+    }
+  }
+
+  async removeAgent(id) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/agents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to remove agent');
+      this.setAgents(data.agents);
+      this.renderAgentSettings();
+      this.renderAgentCards();
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  async rediscoverAgents() {
+    try {
+      const res = await apiFetch(BASE_URL + '/api/agents/discover', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Discovery failed');
+      this.setAgents(data.agents);
+      this.renderAgentSettings();
+      this.renderAgentCards();
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  async loadTokens() {
+    const list = document.getElementById('tokenList');
+    if (!list) return;
+    try {
+      const res = await apiFetch(BASE_URL + '/api/tokens');
+      const data = await res.json();
+      list.innerHTML = '';
+      for (const token of data.tokens || []) {
+        const row = document.createElement('div');
+        row.className = 'token-row';
+        row.innerHTML = `<span class="token-name">${escapeHtml(token.name)}</span><code>${escapeHtml(token.preview)}</code>`;
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'btn btn-secondary';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.onclick = () => this.revokeAccessToken(token.id);
+        row.appendChild(revokeBtn);
+        list.appendChild(row);
+      }
+    } catch (e) {
+      console.error('loadTokens:', e);
+    }
+  }
+
+  async createAccessToken() {
+    const input = document.getElementById('newTokenName');
+    const name = input?.value.trim();
+    if (!name) return;
+    try {
+      const res = await apiFetch(BASE_URL + '/api/tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create token');
+      input.value = '';
+      // The secret is only shown once; the server lists tokens by preview afterwards
+      document.getElementById('newTokenValue').textContent = `New token "${data.token.name}": ${data.token.token}`;
+      this.loadTokens();
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
+  }
+
+  async revokeAccessToken(id) {
+    try {
+      const res = await apiFetch(`${BASE_URL}/api/tokens/${id}`, { method: 'DELETE' });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error || 'Failed to revoke token');
+      }
+      this.loadTokens();
+    } catch (e) {
+      this.addSystemMessage(`Error: ${e.message}`);
+    }
   }
 
   openFolderBrowser() {
     const modal = document.getElementById('folderBrowserModal');
     if (!modal) return;
     const pathInput = document.getElementById('folderPath');
-    pathInput.value = '~/';
-    this.loadFolderContents(this.expandHome('~/'));
+    // The server only lists folders inside its workspace roots, so start at the first one
+    const start = this.workspaceRoots[0] || this.expandHome('~/');
+    pathInput.value = start;
+    this.loadFolderContents(start);
     modal.classList.add('active');
   }
 
@@ -807,16 +2369,23 @@ class GMGUIApp {
     if (!list) return;
     list.innerHTML = '<div style="padding: 1rem; color: var(--text-tertiary);">Loading...</div>';
     try {
-      const res = await fetch(BASE_URL + '/api/folders', {
+      const res = await apiFetch(BASE_URL + '/api/folders', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ path: folderPath }),
       });
+      const data = await res.json();
       if (res.ok) {
-        const data = await res.json();
         this.renderFolderList(data.folders, folderPath);
       } else {
-        list.innerHTML = '<div style="padding: 1rem; color: var(--color-danger);">Error loading folder</div>';
+        list.innerHTML = '<div style="padding: 1rem; color: var(--color-danger);"></div>';
+        list.firstChild.textContent = data.error || 'Error loading folder';
+        if (res.status === 403 && this.workspaceRoots.length > 0) {
+          const roots = document.createElement('div');
+          roots.style.cssText = 'padding: 0 1rem 1rem; font-size: 0.875rem; color: var(--text-tertiary);';
+          roots.textContent = `Allowed: ${this.workspaceRoots.join(', ')}`;
+          list.appendChild(roots);
+        }
       }
     } catch (e) {
       list.innerHTML = '<div style="padding: 1rem; color: var(--color-danger);">Error: ' + e.message + '</div>';
@@ -860,6 +2429,14 @@ class GMGUIApp {
   }
 }
 
+function toolContentText(c) {
+  if (c.text) return c.text;
+  if (c.type === 'content') return c.content?.text || '';
+  if (c.type === 'diff') return `${c.path}\n${c.newText || ''}`;
+  if (c.type === 'terminal') return `[terminal ${c.terminalId}]`;
+  return '';
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -886,7 +2463,60 @@ function createChatInFolder() {
   app.openFolderBrowser();
 }
 
-function sendMessage() { app.sendMessage(); }
+function importChat() {
+  closeNewChatModal();
+  document.getElementById('importInput')?.click();
+}
+
+function handleImportFile() {
+  const input = document.getElementById('importInput');
+  if (input.files[0]) app.importConversation(input.files[0]);
+  input.value = '';
+}
+
+function triggerFileUpload() {
+  document.getElementById('fileInput')?.click();
+}
+
+function handleFileUpload() {
+  const input = document.getElementById('fileInput');
+  app.addFiles(Array.from(input.files));
+  input.value = '';
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function isTextFile(file) {
+  if (file.type) return file.type.startsWith('text/') || /json|xml|yaml|javascript|x-sh/.test(file.type);
+  return /\.(txt|md|csv|log|json|ya?ml|toml|ini|xml|html|css|[cm]?js|ts|py|rb|go|rs|java|c|h|cpp|sh)$/i.test(file.name || '');
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function captureScreenshot() { app.captureScreenshot(); }
+function sendScreenshot() { app.sendScreenshot(); }
+function downloadScreenshot() { app.downloadScreenshot(); }
+function closeScreenshotModal() { app.closeScreenshotModal(); }
+
+function toggleTrusted() { app.toggleTrusted(); }
+function openMcpDialog(scope) { app.openMcpDialog(scope); }
+function changeSessionMode(change) { app.changeSessionMode(change); }
+
+function sendMessage() {
+  if (app.activeSessions.has(app.currentConversation) && !app.hasDraft()) app.cancelActiveSession();
+  else app.sendMessage();
+}
 
 function toggleSidebar() {
   const sidebar = document.getElementById('sidebar');
@@ -899,12 +2529,59 @@ function switchTab(tabName) {
   if (tabName === 'settings' && panel && main) {
     panel.style.display = 'flex';
     main.style.display = 'none';
+    app.loadTokens();
+    app.loadAgentSettings();
   } else if (tabName === 'chat' && panel && main) {
     panel.style.display = 'none';
     main.style.display = 'flex';
   }
 }
 
+function showLoginScreen() {
+  const modal = document.getElementById('loginModal');
+  if (modal) modal.classList.add('active');
+}
+
+// Signs in with a username and password, or with a pasted access token when one is given
+async function signIn() {
+  const error = document.getElementById('loginError');
+  const username = document.getElementById('loginUsername').value.trim();
+  let token = document.getElementById('loginToken').value.trim();
+  if (username) {
+    const res = await fetch(BASE_URL + '/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: document.getElementById('loginPassword').value }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      error.textContent = data.error || 'Sign in failed';
+      return;
+    }
+    token = data.token;
+  } else if (token) {
+    const res = await fetch(BASE_URL + '/api/auth', { headers: { Authorization: `Bearer ${token}` } });
+    if (!res.ok) {
+      error.textContent = 'Invalid token';
+      return;
+    }
+  } else {
+    return;
+  }
+  localStorage.setItem(TOKEN_KEY, token);
+  location.reload();
+}
+
+async function signOut() {
+  try {
+    await apiFetch(BASE_URL + '/api/logout', { method: 'POST' });
+  } catch (e) {
+    console.error('signOut:', e);
+  }
+  localStorage.removeItem(TOKEN_KEY);
+  location.reload();
+}
+
 function closeFolderBrowser() { app.closeFolderBrowser(); }
 
 function browseFolders() {
@@ -0,0 +1,115 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// export.js opens the database under $HOME, so it gets a throwaway one
+const home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-export-')));
+process.env.HOME = home;
+process.env.WORKSPACE_ROOTS = home;
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+fs.mkdirSync(path.join(home, '.gmgui'));
+fs.writeFileSync(path.join(home, 'chart.png'), PNG);
+fs.writeFileSync(path.join(home, 'notes.png.txt'), 'not an image');
+fs.writeFileSync(path.join(home, '.gmgui', 'logo.png'), PNG);
+const { queries, migrate } = await import('../database.js');
+migrate();
+const { EXPORT_FORMAT, EXPORT_VERSION, validateImport, toMarkdown, toHtml } = await import('../export.js');
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const exported = (messages, conversation = {}) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exported_at: Date.UTC(2025, 0, 2),
+  conversation: { id: 'conv-1', agentId: 'claude-code', title: 'Review', created_at: Date.UTC(2025, 0, 1), ...conversation },
+  sessions: [],
+  messages,
+});
+const assistant = (blocks, text = 'Done') => ({ role: 'assistant', content: { text, blocks }, created_at: Date.UTC(2025, 0, 1, 12) });
+
+test('validateImport accepts an export', () => {
+  assert.equal(validateImport(exported([
+    { role: 'user', content: 'hi' },
+    assistant([{ type: 'thought', text: 'hm' }, { type: 'plan', entries: [{ content: 'a', status: 'pending' }] }, { type: 'tool_call', id: 't1' }]),
+  ], { policy: { rules: [{ kind: 'read', action: 'allow' }] }, modes: { currentModeId: 'plan', availableModes: [{ id: 'plan', name: 'Plan' }] } })), null);
+});
+
+test('validateImport rejects other files and newer versions', () => {
+  assert.match(validateImport({}), /Expected a gmgui-conversation/);
+  assert.match(validateImport({ ...exported([]), version: EXPORT_VERSION + 1 }), /newer/);
+  assert.match(validateImport({ ...exported([]), conversation: null }), /conversation is required/);
+  assert.match(validateImport({ ...exported([]), messages: [{ role: 'user' }] }), /messages must be/);
+  assert.match(validateImport({ ...exported([]), sessions: [null] }), /sessions must be/);
+});
+
+test('validateImport rejects blocks the renderers cannot read', () => {
+  assert.match(validateImport(exported([assistant([{ type: 'plan' }])])), /plan blocks/);
+  assert.match(validateImport(exported([assistant([{ type: 'plan', entries: [null] }])])), /plan blocks/);
+  assert.match(validateImport(exported([assistant([{ type: 'thought' }])])), /thought blocks/);
+  assert.match(validateImport(exported([assistant([{ type: 'tool_call', content: 'x' }])])), /tool_call content/);
+  assert.match(validateImport(exported([assistant([{ type: 'html', html: 1 }])])), /html blocks/);
+  assert.match(validateImport(exported([assistant([{ type: 'image', data: 'AAAA', mimeType: 'text/html' }])])), /image blocks/);
+  assert.match(validateImport(exported([assistant([null])])), /blocks must be objects/);
+  assert.match(validateImport(exported([{ role: 'user', content: { text: 'x', attachments: [null] } }])), /attachments/);
+  assert.match(validateImport(exported([{ role: 'user', content: 'x', created_at: 'yesterday' }])), /created_at/);
+});
+
+test('validateImport checks metadata types and session state like the update routes', () => {
+  assert.match(validateImport(exported([], { title: { text: 'Review' } })), /conversation.title must be a string/);
+  assert.match(validateImport(exported([], { agentId: 1 })), /conversation.agentId must be a string/);
+  assert.match(validateImport(exported([], { folderPath: ['src'] })), /conversation.folderPath must be a string/);
+  assert.match(validateImport(exported([], { modes: { currentModeId: 'plan' } })), /conversation.modes/);
+  assert.match(validateImport(exported([], { models: { currentModelId: 'm1', availableModels: [{ id: 'm1' }] } })), /conversation.models/);
+});
+
+test('importConversation leaves policy and trust to the new owner', () => {
+  const data = exported([{ role: 'user', content: 'hi' }], { policy: { default: 'allow', rules: [] }, trusted: true });
+  assert.equal(validateImport(data), null);
+  const conversation = queries.importConversation(data, null);
+  assert.equal(conversation.policy, null);
+  assert.equal(conversation.trusted, false);
+  assert.equal(conversation.title, 'Review');
+});
+
+test('toMarkdown renders blocks, text and attachments in order', () => {
+  const markdown = toMarkdown(exported([
+    { role: 'user', content: { text: 'Look at this', attachments: [{ name: 'a.txt' }], mentions: [{ path: 'src/app.js' }] }, created_at: Date.UTC(2025, 0, 1, 11) },
+    assistant([
+      { type: 'thought', text: 'line one\nline two' },
+      { type: 'plan', entries: [{ content: 'Read', status: 'completed' }, { content: 'Answer', status: 'pending' }] },
+      { type: 'tool_call', id: 't1', kind: 'read', title: 'Read a.txt', status: 'completed', content: [{ type: 'content', content: { type: 'text', text: 'has ``` inside' } }] },
+    ]),
+  ]));
+  assert.match(markdown, /^# Review\n/);
+  assert.match(markdown, /## User · 2025-01-01T11:00:00.000Z\n\nLook at this\n\n- 📎 a.txt\n- @src\/app.js/);
+  assert.match(markdown, /> line one\n> line two/);
+  assert.match(markdown, /- \[x\] Read\n- \[ \] Answer/);
+  assert.match(markdown, /\*\*read: Read a.txt\*\* \(completed\)\n\n````\nhas ``` inside\n````/);
+  assert.ok(markdown.indexOf('line one') < markdown.indexOf('Done'));
+});
+
+test('toHtml escapes text and keeps agent HTML in a script-free sandbox', () => {
+  const html = toHtml(exported([
+    { role: 'user', content: '<img src=x onerror=alert(1)>' },
+    assistant([{ type: 'html', html: '<script>alert(1)</script>', title: '"T"' }]),
+  ], { title: '<b>Review</b>' }), 'conv-1');
+  assert.match(html, /<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data:; style-src 'unsafe-inline'">/);
+  assert.match(html, /<title>&lt;b&gt;Review&lt;\/b&gt;<\/title>/);
+  assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(html, /<iframe class="html-block" sandbox srcdoc="&lt;script&gt;alert\(1\)&lt;\/script&gt;" title="&quot;T&quot;">/);
+  assert.ok(!html.includes('<script>'));
+});
+
+test('toHtml inlines only image files inside the workspace', () => {
+  const html = toHtml(exported([assistant([
+    { type: 'image', path: path.join(home, 'chart.png'), alt: 'chart' },
+    { type: 'image', path: path.join(home, 'notes.png.txt'), alt: 'text file' },
+    { type: 'image', path: path.join(home, '.gmgui', 'logo.png'), alt: 'gmgui data' },
+    { type: 'image', data: 'AAAA', mimeType: 'image/png', alt: 'inline' },
+  ])]), 'conv-1');
+  assert.ok(html.includes(`<img src="data:image/png;base64,${PNG.toString('base64')}" alt="chart">`));
+  assert.match(html, /Image not available: text file/);
+  assert.match(html, /Image not available: gmgui data/);
+  assert.ok(html.includes('<img src="data:image/png;base64,AAAA" alt="inline">'));
+});
@@ -0,0 +1,102 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-policy-'));
+process.env.POLICY_FILE = path.join(home, 'policy.json');
+const { loadPolicy, validatePolicy, evaluatePolicy } = await import('../policy.js');
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const cwd = '/work/project';
+const read = (p) => ({ kind: 'read', locations: [{ path: p }] });
+const evaluate = (toolCall, rules, extra = {}) => evaluatePolicy(toolCall, { cwd, conversationPolicy: { rules, ...extra } });
+
+test('validatePolicy accepts the documented shape', () => {
+  assert.equal(validatePolicy(null), null);
+  assert.equal(validatePolicy({
+    default: 'prompt',
+    rules: [
+      { kind: 'read', path: '{cwd}/**', action: 'allow' },
+      { kind: 'execute', command: 'rm|git push', action: 'prompt' },
+      { kind: ['edit', 'write'], path: '!{cwd}/**', action: 'deny' },
+    ],
+  }), null);
+});
+
+test('validatePolicy rejects malformed policies', () => {
+  assert.match(validatePolicy([]), /must be an object/);
+  assert.match(validatePolicy({ default: 'always' }), /default must be one of/);
+  assert.match(validatePolicy({ rules: {} }), /rules must be an array/);
+  assert.match(validatePolicy({ rules: [null] }), /rules must be objects/);
+  assert.match(validatePolicy({ rules: [{ action: 'maybe' }] }), /rule action/);
+  assert.match(validatePolicy({ rules: [{ action: 'allow', path: 3 }] }), /path must be a string/);
+  assert.match(validatePolicy({ rules: [{ action: 'allow', command: '(' }] }), /invalid command pattern/);
+  assert.match(validatePolicy({ rules: [{ action: 'allow', command: 1 }] }), /command must be a string/);
+  assert.match(validatePolicy({ rules: [{ action: 'allow', kind: [1] }] }), /kind must be/);
+});
+
+test('* stays within a directory and ** crosses directories', () => {
+  const rules = [{ path: '{cwd}/*.md', action: 'allow' }];
+  assert.equal(evaluate(read('/work/project/README.md'), rules).action, 'allow');
+  assert.equal(evaluate(read('/work/project/docs/guide.md'), rules).source, 'default');
+  const deep = [{ path: '{cwd}/**/*.md', action: 'allow' }];
+  assert.equal(evaluate(read('/work/project/docs/guide.md'), deep).action, 'allow');
+  assert.equal(evaluate(read('/work/project/README.md'), deep).action, 'allow');
+});
+
+test('? matches one character and other glob characters are literal', () => {
+  assert.equal(evaluate(read('/work/project/a1.txt'), [{ path: '{cwd}/a?.txt', action: 'allow' }]).action, 'allow');
+  assert.equal(evaluate(read('/work/project/a12.txt'), [{ path: '{cwd}/a?.txt', action: 'allow' }]).source, 'default');
+  assert.equal(evaluate(read('/work/project/aXtxt'), [{ path: '{cwd}/a.txt', action: 'allow' }]).source, 'default');
+});
+
+test('relative tool paths resolve against the conversation folder', () => {
+  const rules = [{ path: '{cwd}/**', action: 'allow' }];
+  assert.equal(evaluate(read('src/app.js'), rules).action, 'allow');
+  assert.equal(evaluate(read('../other/app.js'), rules).source, 'default');
+  assert.equal(evaluate({ kind: 'edit', rawInput: { file_path: '/work/project/a.js' } }, rules).action, 'allow');
+});
+
+test('negated paths match tool calls outside the pattern', () => {
+  const rules = [{ kind: ['edit', 'write'], path: '!{cwd}/**', action: 'deny' }];
+  assert.equal(evaluate({ kind: 'edit', locations: [{ path: '/etc/hosts' }] }, rules).action, 'deny');
+  assert.equal(evaluate({ kind: 'edit', locations: [{ path: '/work/project/a.js' }] }, rules).source, 'default');
+});
+
+test('path rules never match tool calls without paths', () => {
+  assert.equal(evaluate({ kind: 'execute', rawInput: { command: 'ls' } }, [{ path: '**', action: 'allow' }]).source, 'default');
+});
+
+test('kind and command rules must all match', () => {
+  const rules = [{ kind: 'execute', command: '^git (status|diff)', action: 'allow' }];
+  assert.equal(evaluate({ kind: 'execute', rawInput: { command: 'git status' } }, rules).action, 'allow');
+  assert.equal(evaluate({ kind: 'execute', rawInput: { command: 'git push' } }, rules).source, 'default');
+  assert.equal(evaluate({ kind: 'read', title: 'git status' }, rules).source, 'default');
+});
+
+test('conversation rules come before global rules, and the first match wins', () => {
+  fs.writeFileSync(process.env.POLICY_FILE, JSON.stringify({ default: 'deny', rules: [{ kind: 'read', action: 'allow' }] }));
+  try {
+    const conversation = evaluate(read('/work/project/a'), [{ kind: 'read', action: 'prompt' }, { kind: 'read', action: 'deny' }]);
+    assert.deepEqual([conversation.action, conversation.source, conversation.ruleIndex], ['prompt', 'conversation', 0]);
+    const global = evaluatePolicy(read('/work/project/a'), { cwd });
+    assert.deepEqual([global.action, global.source], ['allow', 'global']);
+    assert.deepEqual([evaluatePolicy({ kind: 'edit' }, { cwd }).action, evaluatePolicy({ kind: 'edit' }, { cwd }).source], ['deny', 'default']);
+    assert.equal(evaluate({ kind: 'edit' }, [], { default: 'allow' }).action, 'allow');
+  } finally {
+    fs.rmSync(process.env.POLICY_FILE);
+  }
+});
+
+test('an invalid policy.json falls back to prompting', (t) => {
+  t.mock.method(console, 'error', () => {});
+  fs.writeFileSync(process.env.POLICY_FILE, JSON.stringify({ default: 'allow', rules: [{ action: 'allow', path: {} }] }));
+  try {
+    assert.deepEqual(loadPolicy(), { default: 'prompt', rules: [] });
+    assert.equal(evaluatePolicy(read('/work/project/a'), { cwd }).action, 'prompt');
+  } finally {
+    fs.rmSync(process.env.POLICY_FILE);
+  }
+});
@@ -0,0 +1,55 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// database.js opens ~/.gmgui/data.db on import, so it gets a throwaway home
+const home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-recovery-')));
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.gmgui'));
+const { queries, migrate } = await import('../database.js');
+migrate();
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+// Mirrors POST /messages: a user message bound to a pending session and parked in the queue
+function queuePrompt(conversationId, text) {
+  const created = queries.createMessage(conversationId, 'user', text);
+  const session = queries.createSession(conversationId);
+  return { session, message: queries.updateMessage(created.id, { sessionId: session.id, status: 'queued' }) };
+}
+
+test('a restart interrupts the running prompt and keeps the queued ones', () => {
+  const conversation = queries.createConversation('claude-code', 'Restart');
+  const running = queuePrompt(conversation.id, 'first');
+  const waiting = queuePrompt(conversation.id, 'second');
+  queries.markMessageSent(running.message.id);
+  queries.updateSession(running.session.id, { status: 'processing' });
+  const done = queuePrompt(conversation.id, 'third');
+  queries.markMessageSent(done.message.id);
+  queries.updateSession(done.session.id, { status: 'completed', completed_at: Date.now() });
+
+  const interrupted = queries.interruptUnfinishedSessions('Interrupted by a server restart');
+
+  assert.deepEqual(interrupted.map(i => i.session.id), [running.session.id]);
+  assert.equal(interrupted[0].message.content, 'Error: Interrupted by a server restart');
+  const session = queries.getSession(running.session.id);
+  assert.equal(session.status, 'error');
+  assert.equal(session.error, 'Interrupted by a server restart');
+  assert.ok(session.completed_at);
+  assert.equal(queries.getSession(waiting.session.id).status, 'pending');
+  assert.equal(queries.getSession(done.session.id).status, 'completed');
+  assert.deepEqual(queries.getQueuedMessages().map(m => m.id), [waiting.message.id]);
+});
+
+test('a prompt marked sent but never started is interrupted too', () => {
+  const conversation = queries.createConversation('claude-code', 'Crash');
+  const dispatched = queuePrompt(conversation.id, 'lost');
+  queries.markMessageSent(dispatched.message.id);
+
+  const interrupted = queries.interruptUnfinishedSessions('Interrupted by a server restart');
+
+  assert.deepEqual(interrupted.map(i => i.session.id), [dispatched.session.id]);
+  assert.equal(queries.getSession(dispatched.session.id).status, 'error');
+  assert.deepEqual(queries.interruptUnfinishedSessions('again'), []);
+});
@@ -0,0 +1,68 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { captureScreenshot } from '../screenshot.js';
+
+// Capture tools are stubbed with shell scripts in a bin directory that replaces PATH
+const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-screenshot-')));
+const bin = path.join(root, 'bin');
+const out = path.join(root, 'uploads');
+const PNG = '\\211PNG\\r\\n\\032\\n';
+const env = { PATH: process.env.PATH, DISPLAY: process.env.DISPLAY, WAYLAND_DISPLAY: process.env.WAYLAND_DISPLAY };
+after(() => {
+  Object.assign(process.env, env);
+  for (const [key, value] of Object.entries(env)) if (value === undefined) delete process.env[key];
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(bin, { recursive: true, force: true });
+  fs.mkdirSync(bin, { recursive: true });
+  process.env.PATH = bin;
+  process.env.DISPLAY = ':99';
+  delete process.env.WAYLAND_DISPLAY;
+});
+
+function stub(name, script) {
+  fs.writeFileSync(path.join(bin, name), `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+}
+
+test('scrot is used first and its PNG is kept', async () => {
+  stub('scrot', `printf '${PNG}' > "$1"`);
+  stub('import', 'exit 1');
+  const name = await captureScreenshot(out);
+  assert.match(name, /^screenshot-.*\.png$/);
+  assert.deepEqual(fs.readFileSync(path.join(out, name)).subarray(0, 8), Buffer.from('89504e470d0a1a0a', 'hex'));
+});
+
+test('ImageMagick import is used when it is the only tool installed', async () => {
+  stub('import', `[ "$1 $2" = "-window root" ] && printf '${PNG}' > "$3"`);
+  const name = await captureScreenshot(out);
+  assert.equal(fs.statSync(path.join(out, name)).size, 8);
+});
+
+test('a tool that writes nothing falls through to the next one', async () => {
+  stub('scrot', 'exit 0');
+  stub('import', `printf '${PNG}' > "$3"`);
+  const name = await captureScreenshot(out);
+  assert.ok(fs.existsSync(path.join(out, name)));
+});
+
+test('503 when no screenshot tool is installed', async () => {
+  await assert.rejects(captureScreenshot(out), { status: 503, message: /No screenshot tool found/ });
+});
+
+test('503 when the server has no display', async () => {
+  delete process.env.DISPLAY;
+  stub('scrot', `printf '${PNG}' > "$1"`);
+  await assert.rejects(captureScreenshot(out), { status: 503, message: /No display available/ });
+});
+
+test('500 with the tool output when every installed tool fails', async () => {
+  stub('scrot', ': > "$1"; echo "cannot open display" >&2; exit 2');
+  const before = fs.readdirSync(out);
+  await assert.rejects(captureScreenshot(out), { status: 500, message: /scrot: cannot open display/ });
+  assert.deepEqual(fs.readdirSync(out), before);
+});
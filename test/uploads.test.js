@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-uploads-'));
+const { UPLOAD_DIR, receiveUploads, listUploads, uploadPath, deleteUpload } = await import('../uploads.js');
+after(() => fs.rmSync(UPLOAD_DIR, { recursive: true, force: true }));
+
+const BOUNDARY = 'gmgui-test-boundary';
+
+function multipart(parts) {
+  const body = parts.map(({ name, filename, data }) => {
+    const disposition = `form-data; name="${name}"${filename !== undefined ? `; filename="${filename}"` : ''}`;
+    return Buffer.concat([Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: ${disposition}\r\n\r\n`), Buffer.from(data), Buffer.from('\r\n')]);
+  });
+  return Buffer.concat([...body, Buffer.from(`--${BOUNDARY}--\r\n`)]);
+}
+
+// A request stream that delivers the body in chunks of the given size
+function request(body, { chunkSize = body.length, headers = {} } = {}) {
+  const req = new PassThrough();
+  req.headers = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}`, ...headers };
+  setImmediate(() => {
+    for (let i = 0; i < body.length; i += chunkSize) req.write(body.subarray(i, i + chunkSize));
+    req.end();
+  });
+  return req;
+}
+
+test('files and fields are parsed even when delimiters are split across chunks', async () => {
+  const text = 'first line\r\n--not a boundary\r\n';
+  const binary = Buffer.from([0, 13, 10, 45, 45, 255, 13, 10]);
+  const body = multipart([
+    { name: 'note', data: 'hello' },
+    { name: 'file', filename: 'notes.txt', data: text },
+    { name: 'file', filename: 'data.bin', data: binary },
+  ]);
+  const { files, fields } = await receiveUploads(request(body, { chunkSize: 1 }), 'conv-split');
+  assert.deepEqual(fields, { note: 'hello' });
+  assert.deepEqual(files.map(f => [f.name, f.size, f.mimeType]), [['notes.txt', text.length, 'text/plain'], ['data.bin', binary.length, 'application/octet-stream']]);
+  assert.equal(fs.readFileSync(uploadPath('conv-split', 'notes.txt'), 'utf-8'), text);
+  assert.deepEqual(fs.readFileSync(uploadPath('conv-split', 'data.bin')), binary);
+});
+
+test('existing names get a numbered suffix', async () => {
+  const body = multipart([{ name: 'file', filename: 'a.txt', data: '1' }]);
+  await receiveUploads(request(body), 'conv-dup');
+  const { files } = await receiveUploads(request(body), 'conv-dup');
+  assert.equal(files[0].name, 'a (1).txt');
+  assert.deepEqual(listUploads('conv-dup').map(f => f.name).sort(), ['a (1).txt', 'a.txt']);
+});
+
+test('file names are reduced to one safe path segment', async () => {
+  const body = multipart([
+    { name: 'file', filename: '../../escape.txt', data: 'x' },
+    { name: 'file', filename: '..\\windows.txt', data: 'x' },
+    { name: 'file', filename: '.hidden', data: 'x' },
+  ]);
+  const { files } = await receiveUploads(request(body), 'conv-names');
+  assert.deepEqual(files.map(f => f.name), ['escape.txt', 'windows.txt']);
+  assert.deepEqual(fs.readdirSync(path.join(UPLOAD_DIR, 'conv-names')).sort(), ['escape.txt', 'windows.txt']);
+  assert.equal(uploadPath('conv-names', '../conv-names/escape.txt'), null);
+  assert.equal(deleteUpload('conv-names', '..'), false);
+});
+
+test('requests that are not multipart are rejected with 400', async () => {
+  const req = request(Buffer.from('{}'), { headers: { 'content-type': 'application/json' } });
+  await assert.rejects(receiveUploads(req, 'conv-json'), { status: 400 });
+});
+
+test('requests over the size limit are rejected with 413', async () => {
+  const req = request(Buffer.alloc(0), { headers: { 'content-length': String(1024 * 1024 * 1024) } });
+  await assert.rejects(receiveUploads(req, 'conv-large'), { status: 413 });
+});
+
+test('a truncated body is rejected and leaves no files behind', async () => {
+  const body = multipart([{ name: 'file', filename: 'partial.txt', data: 'abc' }]);
+  const truncated = body.subarray(0, body.length - `--${BOUNDARY}--\r\n`.length - 2);
+  await assert.rejects(receiveUploads(request(truncated), 'conv-truncated'), { status: 400 });
+  assert.deepEqual(fs.readdirSync(path.join(UPLOAD_DIR, 'conv-truncated')), []);
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// auth.js keeps users in ~/.gmgui/data.db and tokens in ~/.gmgui/tokens.json, both throwaway here
+const home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-users-')));
+process.env.HOME = home;
+fs.mkdirSync(path.join(home, '.gmgui'));
+const { queries, migrate } = await import('../database.js');
+migrate();
+const { createUser, removeUser, createToken, listTokens } = await import('../auth.js');
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const admin = createUser('admin', 'password1', 'admin');
+
+test('removing a user hands their conversations to an admin and revokes their tokens', () => {
+  const alice = createUser('alice', 'password1');
+  const bob = createUser('bob', 'password1');
+  const conversation = queries.createConversation('claude-code', 'Notes', null, alice.id);
+  const session = queries.createSession(conversation.id);
+  queries.setConversationShare(conversation.id, admin.id, 'read');
+  queries.setConversationShare(conversation.id, bob.id, 'write');
+  createToken('laptop', alice.id);
+  const kept = createToken('ci', bob.id);
+
+  assert.equal(removeUser(alice.id), true);
+
+  assert.equal(queries.getUser(alice.id), null);
+  assert.equal(queries.getConversation(conversation.id).ownerId, admin.id);
+  assert.equal(queries.getSession(session.id).ownerId, admin.id);
+  assert.deepEqual(queries.getConversationShares(conversation.id).map(s => s.username), ['bob']);
+  assert.deepEqual(listTokens().map(t => t.id), [kept.id]);
+  assert.equal(removeUser(alice.id), false);
+});
+
+test('the last admin cannot be removed', () => {
+  assert.throws(() => removeUser(admin.id), /last admin/);
+  assert.ok(queries.getUser(admin.id));
+});
@@ -0,0 +1,66 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// $HOME is the workspace root, as it is by default, so ~/.gmgui sits inside it
+const home = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-workspace-')));
+const outside = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gmgui-outside-')));
+process.env.HOME = home;
+process.env.WORKSPACE_ROOTS = home;
+fs.mkdirSync(path.join(home, 'project', 'src'), { recursive: true });
+fs.mkdirSync(path.join(home, 'project', 'node_modules', 'dep'), { recursive: true });
+fs.mkdirSync(path.join(home, '.gmgui'));
+fs.writeFileSync(path.join(home, 'project', 'src', 'app.js'), '');
+fs.writeFileSync(path.join(home, 'project', 'app.test.js'), '');
+fs.writeFileSync(path.join(home, 'project', 'node_modules', 'dep', 'app.js'), '');
+fs.writeFileSync(path.join(home, '.gmgui', 'tokens.json'), '[]');
+fs.writeFileSync(path.join(outside, 'secret.txt'), '');
+fs.symlinkSync(outside, path.join(home, 'project', 'escape'));
+fs.symlinkSync(path.join(home, '.gmgui'), path.join(home, 'project', 'data'));
+const { workspaceRoots, resolveWorkspacePath, searchFiles } = await import('../workspace.js');
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+  fs.rmSync(outside, { recursive: true, force: true });
+});
+
+test('roots come from WORKSPACE_ROOTS', () => {
+  assert.deepEqual(workspaceRoots(), [home]);
+});
+
+test('paths inside a root resolve to absolute paths', () => {
+  assert.equal(resolveWorkspacePath(path.join(home, 'project', 'src', 'app.js')), path.join(home, 'project', 'src', 'app.js'));
+  assert.equal(resolveWorkspacePath(home), home);
+  assert.equal(resolveWorkspacePath('~/project'), path.join(home, 'project'));
+  assert.equal(resolveWorkspacePath(path.join(home, 'project', 'new', 'file.txt')), path.join(home, 'project', 'new', 'file.txt'));
+});
+
+test('paths outside every root are refused', () => {
+  assert.equal(resolveWorkspacePath(path.join(outside, 'secret.txt')), null);
+  assert.equal(resolveWorkspacePath(path.join(home, 'project', '..', '..', path.basename(outside), 'secret.txt')), null);
+  assert.equal(resolveWorkspacePath(`${home}-other/file.txt`), null);
+  assert.equal(resolveWorkspacePath('/'), null);
+  assert.equal(resolveWorkspacePath(''), null);
+  assert.equal(resolveWorkspacePath(null), null);
+});
+
+test('symlinks are resolved before the check', () => {
+  assert.equal(resolveWorkspacePath(path.join(home, 'project', 'escape', 'secret.txt')), null);
+  assert.equal(resolveWorkspacePath(path.join(home, 'project', 'escape', 'missing.txt')), null);
+});
+
+test("gmgui's data directory is excluded even inside a root", () => {
+  assert.equal(resolveWorkspacePath(path.join(home, '.gmgui')), null);
+  assert.equal(resolveWorkspacePath(path.join(home, '.gmgui', 'tokens.json')), null);
+  assert.equal(resolveWorkspacePath(path.join(home, '.gmgui', 'data.db')), null);
+  assert.equal(resolveWorkspacePath(path.join(home, 'project', 'data', 'tokens.json')), null);
+  assert.equal(resolveWorkspacePath('~/.gmgui/policy.json'), null);
+});
+
+test('searchFiles ranks name matches first and skips ignored, linked and protected directories', () => {
+  assert.deepEqual(searchFiles(path.join(home, 'project'), 'app').map(f => f.path), ['src/app.js', 'app.test.js']);
+  assert.deepEqual(searchFiles(home, 'tokens'), []);
+  assert.deepEqual(searchFiles(path.join(home, 'project'), 'secret'), []);
+  assert.equal(searchFiles(path.join(home, 'project'), '', 1).length, 1);
+});
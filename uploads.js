@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || '/tmp/gmgui-conversations');
+export const UPLOAD_MAX_BYTES = (parseInt(process.env.UPLOAD_MAX_MB) || 100) * 1024 * 1024;
+// Text files up to this size are embedded in the prompt; anything else is sent as a link
+const EMBED_MAX_BYTES = 256 * 1024;
+const FIELD_MAX_BYTES = 64 * 1024;
+
+const MIME_TYPES = {
+  '.txt': 'text/plain', '.md': 'text/markdown', '.csv': 'text/csv', '.html': 'text/html', '.css': 'text/css',
+  '.js': 'text/javascript', '.mjs': 'text/javascript', '.ts': 'text/x-typescript', '.py': 'text/x-python',
+  '.json': 'application/json', '.xml': 'application/xml', '.yaml': 'application/yaml', '.yml': 'application/yaml',
+  '.sh': 'application/x-sh', '.log': 'text/plain', '.pdf': 'application/pdf', '.zip': 'application/zip',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp', '.svg': 'image/svg+xml',
+};
+
+export function mimeType(name) {
+  return MIME_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+function isText(type) {
+  return type.startsWith('text/') || ['application/json', 'application/xml', 'application/yaml', 'application/x-sh'].includes(type);
+}
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+function uploadError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+export function uploadDir(conversationId) {
+  return path.join(UPLOAD_DIR, conversationId);
+}
+
+// Client-supplied names are reduced to a single safe path segment
+function safeName(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/')).replace(/[\x00-\x1f<>:"|?*]/g, '_').trim();
+  return base && base !== '.' && base !== '..' && !base.startsWith('.') ? base.slice(0, 200) : null;
+}
+
+// Returns the absolute path of an existing upload, or null for unknown or unsafe names
+export function uploadPath(conversationId, name) {
+  const safe = safeName(name);
+  if (!safe || safe !== name) return null;
+  const filePath = path.join(uploadDir(conversationId), safe);
+  return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+}
+
+function describeUpload(conversationId, name) {
+  const stats = fs.statSync(path.join(uploadDir(conversationId), name));
+  return { name, size: stats.size, mimeType: mimeType(name), uploaded_at: Math.round(stats.mtimeMs) };
+}
+
+export function listUploads(conversationId) {
+  const dir = uploadDir(conversationId);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => e.isFile() && !e.name.startsWith('.'))
+    .map(e => describeUpload(conversationId, e.name))
+    .sort((a, b) => b.uploaded_at - a.uploaded_at);
+}
+
+export function deleteUpload(conversationId, name) {
+  const filePath = uploadPath(conversationId, name);
+  if (!filePath) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+export function removeUploads(conversationId) {
+  fs.rmSync(uploadDir(conversationId), { recursive: true, force: true });
+}
+
+// An existing name gets a " (n)" suffix rather than being overwritten
+function availableName(dir, name) {
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  let candidate = name;
+  for (let i = 1; fs.existsSync(path.join(dir, candidate)); i++) candidate = `${stem} (${i})${ext}`;
+  return candidate;
+}
+
+function parsePartHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const i = line.indexOf(':');
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  const disposition = headers['content-disposition'] || '';
+  const param = (key) => disposition.match(new RegExp(`(?:^|;)\\s*${key}="([^"]*)"`, 'i'))?.[1];
+  return { name: param('name'), filename: param('filename') };
+}
+
+// Streams every file part of a multipart/form-data request into the conversation's upload
+// directory. Parts are written to hidden temp files and only renamed into place once complete,
+// so an aborted or oversized request leaves nothing behind.
+export function receiveUploads(req, conversationId) {
+  const boundary = (req.headers['content-type'] || '').match(/^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;]+))/i);
+  // Rejected bodies are still drained so the client finishes sending and can read the error
+  if (!boundary) {
+    req.resume();
+    return Promise.reject(uploadError('Expected multipart/form-data', 400));
+  }
+  if (parseInt(req.headers['content-length']) > UPLOAD_MAX_BYTES) {
+    req.resume();
+    return Promise.reject(uploadError(`Upload exceeds the ${UPLOAD_MAX_BYTES / 1024 / 1024} MB limit`, 413));
+  }
+  const dir = uploadDir(conversationId);
+  fs.mkdirSync(dir, { recursive: true });
+  const delimiter = Buffer.from(`\r\n--${boundary[1] || boundary[2]}`);
+
+  return new Promise((resolve, reject) => {
+    // The first delimiter has no leading CRLF, so prepend one to parse it like the others
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let received = 0;
+    let failed = false;
+    const completed = [];
+    const fields = {};
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.resume();
+      if (part?.stream) part.stream.destroy();
+      for (const p of [part, ...completed]) if (p?.tempPath) fs.rmSync(p.tempPath, { force: true });
+      reject(err);
+    };
+
+    const startPart = (headerText) => {
+      const { name, filename } = parsePartHeaders(headerText);
+      if (filename === undefined) {
+        part = { field: name, chunks: [], size: 0 };
+        return;
+      }
+      const safe = safeName(filename);
+      if (!safe) {
+        part = { skip: true };
+        return;
+      }
+      const tempPath = path.join(dir, `.upload-${crypto.randomBytes(8).toString('hex')}`);
+      part = { filename: safe, tempPath, stream: fs.createWriteStream(tempPath) };
+      part.stream.on('error', fail);
+    };
+
+    const writePart = (data) => {
+      if (!data.length || part.skip) return;
+      if (part.stream) {
+        if (!part.stream.write(data)) {
+          req.pause();
+          part.stream.once('drain', () => req.resume());
+        }
+      } else {
+        part.size += data.length;
+        if (part.size > FIELD_MAX_BYTES) return fail(uploadError('Form field too large', 413));
+        part.chunks.push(data);
+      }
+    };
+
+    const endPart = () => new Promise(done => {
+      const finished = part;
+      part = null;
+      if (finished.field) {
+        fields[finished.field] = Buffer.concat(finished.chunks).toString('utf-8');
+        return done();
+      }
+      if (!finished.stream) return done();
+      completed.push(finished);
+      finished.stream.end(done);
+    });
+
+    const parse = async () => {
+      while (!failed) {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // Keep enough of the tail to recognise a delimiter split across chunks
+            const keep = Math.min(buffer.length, delimiter.length + 1);
+            if (state === 'body') writePart(buffer.subarray(0, buffer.length - keep));
+            buffer = buffer.subarray(buffer.length - keep);
+            return;
+          }
+          if (state === 'body') {
+            writePart(buffer.subarray(0, index));
+            await endPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        } else if (state === 'delimiter') {
+          if (buffer.length < 2) return;
+          const next = buffer.subarray(0, 2).toString();
+          buffer = buffer.subarray(2);
+          if (next === '--') { state = 'done'; return; }
+          if (next !== '\r\n') return fail(uploadError('Malformed multipart body', 400));
+          state = 'headers';
+        } else if (state === 'headers') {
+          const index = buffer.indexOf('\r\n\r\n');
+          if (index === -1) {
+            if (buffer.length > FIELD_MAX_BYTES) fail(uploadError('Malformed multipart body', 400));
+            return;
+          }
+          startPart(buffer.subarray(0, index).toString('utf-8'));
+          buffer = buffer.subarray(index + 4);
+          state = 'body';
+        } else {
+          return;
+        }
+      }
+    };
+
+    let parsing = Promise.resolve();
+    req.on('data', (chunk) => {
+      if (failed) return;
+      received += chunk.length;
+      if (received > UPLOAD_MAX_BYTES) return fail(uploadError(`Upload exceeds the ${UPLOAD_MAX_BYTES / 1024 / 1024} MB limit`, 413));
+      buffer = Buffer.concat([buffer, chunk]);
+      parsing = parsing.then(parse).catch(fail);
+    });
+    req.on('error', fail);
+    req.on('aborted', () => fail(uploadError('Upload aborted', 400)));
+    req.on('end', () => {
+      parsing.then(() => {
+        if (failed) return;
+        if (state !== 'done') return fail(uploadError('Malformed multipart body', 400));
+        const files = completed.map(p => {
+          const name = availableName(dir, p.filename);
+          fs.renameSync(p.tempPath, path.join(dir, name));
+          return describeUpload(conversationId, name);
+        });
+        resolve({ files, fields });
+      }, fail);
+    });
+  });
+}
+
+// ACP prompt blocks for files attached to a message: images and small text files are embedded
+// when the agent accepts them, everything else is passed as a file:// resource_link
+export function attachmentBlocks(conversationId, attachments, promptCapabilities = {}) {
+  const blocks = [];
+  for (const attachment of attachments || []) {
+    const filePath = uploadPath(conversationId, attachment.name);
+    if (!filePath) continue;
+    const { size } = fs.statSync(filePath);
+    const type = mimeType(filePath);
+    const uri = pathToFileURL(filePath).href;
+    if (promptCapabilities?.image && IMAGE_TYPES.includes(type)) {
+      blocks.push({ type: 'image', mimeType: type, data: fs.readFileSync(filePath).toString('base64'), uri });
+    } else if (promptCapabilities?.embeddedContext && isText(type) && size <= EMBED_MAX_BYTES) {
+      blocks.push({ type: 'resource', resource: { uri, mimeType: type, text: fs.readFileSync(filePath, 'utf-8') } });
+    } else {
+      blocks.push({ type: 'resource_link', uri, name: attachment.name, mimeType: type, size });
+    }
+  }
+  return blocks;
+}
+
+export default { UPLOAD_DIR, UPLOAD_MAX_BYTES, uploadDir, uploadPath, listUploads, deleteUpload, removeUploads, receiveUploads, attachmentBlocks, mimeType };
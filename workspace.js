@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { config, expandHome } from './config.js';
+
+// WORKSPACE_ROOTS is a PATH-style list; without it config.json's workspaceRoots, then $HOME
+const configuredRoots = process.env.WORKSPACE_ROOTS
+  ? process.env.WORKSPACE_ROOTS.split(path.delimiter).filter(Boolean)
+  : Array.isArray(config.workspaceRoots) && config.workspaceRoots.length > 0
+    ? config.workspaceRoots
+    : [process.env.HOME || '/config'];
+
+// gmgui's own data (tokens, database, policy, agent and MCP config) is never part of a workspace,
+// even when a root such as $HOME contains it
+const protectedPaths = [
+  path.join(os.homedir(), '.gmgui'),
+  process.env.AUTH_TOKENS_FILE, process.env.POLICY_FILE, process.env.CONFIG_FILE, process.env.AGENTS_FILE, process.env.MCP_SERVERS_FILE,
+].filter(Boolean);
+
+export function workspaceRoots() {
+  return configuredRoots.map(root => realpathAllowMissing(path.resolve(expandHome(root))));
+}
+
+function isInside(p, dir) {
+  return p === dir || p.startsWith(dir.endsWith(path.sep) ? dir : dir + path.sep);
+}
+
+function protectedRealpaths() {
+  return protectedPaths.flatMap(p => {
+    try {
+      return [realpathAllowMissing(path.resolve(p))];
+    } catch (e) {
+      return [];
+    }
+  });
+}
+
+function isProtected(resolved, excluded = protectedRealpaths()) {
+  return excluded.some(p => isInside(resolved, p));
+}
+
+// Files about to be written don't exist yet, so resolve the nearest existing ancestor instead
+function realpathAllowMissing(p) {
+  try {
+    return fs.realpathSync(p);
+  } catch (e) {
+    const parent = path.dirname(p);
+    if (e.code !== 'ENOENT' || parent === p) throw e;
+    return path.join(realpathAllowMissing(parent), path.basename(p));
+  }
+}
+
+// Returns the symlink-free absolute path when it lies inside a workspace root and outside gmgui's data, otherwise null
+export function resolveWorkspacePath(p) {
+  if (typeof p !== 'string' || !p) return null;
+  let resolved;
+  try {
+    resolved = realpathAllowMissing(path.resolve(expandHome(p)));
+  } catch (e) {
+    return null;
+  }
+  if (!workspaceRoots().some(root => isInside(resolved, root))) return null;
+  return isProtected(resolved) ? null : resolved;
+}
+
+export const OUTSIDE_WORKSPACE_ERROR = 'Path is outside the allowed workspace roots';
+
+const IGNORED_DIRS = new Set(['node_modules', '.git', '.hg', '.svn', '__pycache__', '.venv', '.cache', '.next']);
+// Bounds the walk so a query against a huge tree still answers quickly
+const SEARCH_MAX_ENTRIES = 20000;
+
+function matchRank(relative, query) {
+  if (!query) return 3;
+  const lower = relative.toLowerCase();
+  const name = path.basename(lower);
+  if (name.startsWith(query)) return 0;
+  if (name.includes(query)) return 1;
+  if (lower.includes(query)) return 2;
+  return -1;
+}
+
+// Files under root whose path contains the query, best matches first. Symlinks are not followed.
+export function searchFiles(root, query = '', limit = 20) {
+  const q = query.toLowerCase();
+  const matches = [];
+  const pending = [''];
+  let scanned = 0;
+  const excluded = protectedRealpaths();
+  while (pending.length > 0 && scanned < SEARCH_MAX_ENTRIES) {
+    const dir = pending.shift();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, dir), { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of entries) {
+      scanned++;
+      const relative = dir ? `${dir}/${entry.name}` : entry.name;
+      if (isProtected(path.join(root, relative), excluded)) continue;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) pending.push(relative);
+      } else if (entry.isFile()) {
+        const rank = matchRank(relative, q);
+        if (rank > -1) matches.push({ path: relative, rank });
+      }
+    }
+  }
+  return matches
+    .sort((a, b) => a.rank - b.rank || a.path.length - b.path.length || a.path.localeCompare(b.path))
+    .slice(0, limit)
+    .map(m => ({ path: m.path, name: path.basename(m.path) }));
+}
+
+export default { workspaceRoots, resolveWorkspacePath, searchFiles, OUTSIDE_WORKSPACE_ERROR };